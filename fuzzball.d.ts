@@ -3,6 +3,14 @@ export interface FuzzballBaseOptions {
      * Use Intl.Collator for locale-sensitive string comparison
      */
     useCollator?: boolean;
+    /**
+     * Locale of the collator (default "generic") and of the lowercasing in full_process, sets useCollator unless it's false
+     */
+    locale?: string;
+    /**
+     * Intl.Collator options, sensitivity is "base" unless given
+     */
+    collatorOptions?: Intl.CollatorOptions;
     /**
      * Apply basic cleanup, non-alphanumeric to whitespace etc. if true. default true
      */
@@ -15,22 +23,173 @@ export interface FuzzballBaseOptions {
      * Collapse consecutive white space during full_process, default true
      */
     collapseWhitespace?: boolean;
+    /**
+     * Words to drop at the end of full_process, "english", "company" or a list. Kept if they're all there is
+     */
+    stopwords?: "english" | "company" | string[];
+    /**
+     * Replace words at the end of full_process, "address", "company" or {word: replacement}
+     */
+    synonyms?: "address" | "company" | { [word: string]: string };
+    /**
+     * Expand abbreviations at the end of full_process, before synonyms, "address", "company" or {abbreviation: expansion}
+     */
+    abbreviations?: "address" | "company" | { [word: string]: string };
+    /**
+     * How token scorers split strings into tokens, default "whitespace"
+     */
+    tokenizer?: FuzzballTokenizer;
     /**
      * Substitution cost, default 1 for distance, 2 for all ratios, prob don't want to change it
      */
     subcost?: number;
+    /**
+     * Insertion cost, default 1
+     */
+    inscost?: number;
+    /**
+     * Deletion cost, default 1. With either of these set ratios divide by the largest possible distance instead of the combined length
+     */
+    delcost?: number;
+    /**
+     * Substitutions that cost less than subcost, either a preset or [str1, str2, cost] entries where cost is a multiple of subcost and applies both ways, e.g. ["rn", "m", 0.25]
+     */
+    substitutionCosts?: "ocr" | "qwerty" | [string, string, number][];
     /**
      * String where each character it contains will be treated as a wildcard in distance calculations
      */
     wildcards?: string;
+    /**
+     * Glob patterns in either string, "*" matches any run of characters, "?" any one and "[...]" one of a class like "[0-9]", "\\" escapes
+     */
+    glob?: boolean;
+    /**
+     * Use "difflib", "jaro" or "jaro_winkler" similarity in place of the levenshtein ratio
+     */
+    ratio_alg?: "difflib" | "jaro" | "jaro_winkler" | "lcs" | "hamming" | "levenshtein" | string;
+    /**
+     * Count swapping two adjacent characters as one edit, "osa" (or true) for optimal string alignment or "damerau" for true damerau-levenshtein
+     */
+    transpositions?: boolean | "osa" | "damerau";
     /**
      * Use astral symbol and post-BMP codepoint aware distance calculation, default false
      */
     astral?: boolean;
+    /**
+     * Astral mode where extended grapheme clusters (emoji ZWJ sequences, flags, letters with combining marks) count as one character, sets astral to true
+     */
+    graphemes?: boolean;
     /**
      * Normalize unicode representations, default true when astral is true
      */
     normalize?: boolean;
+    /**
+     * distance only, stop early and return maxDistance + 1 once the distance is known to be over it
+     */
+    maxDistance?: number;
+    /**
+     * Ratios only (not WRatio), return 0 as soon as the score is known to be no higher than this
+     */
+    score_cutoff?: number;
+    /**
+     * Token scorers compare phonetic codes of the tokens, true for double_metaphone. Algorithm used by phonetic_ratio
+     */
+    phonetic?: boolean | FuzzballPhoneticAlgorithm;
+    /**
+     * phonetic_ratio only, how much of the score comes from the phonetic codes, 0-1, default 0.5
+     */
+    phonetic_weight?: number;
+    /**
+     * fuzzy_token_set_ratio and idf_token_set_ratio, least ratio two tokens need to be paired, default 80
+     */
+    token_threshold?: number;
+    /**
+     * idf_token_set_ratio only, token frequencies from idf_table, learnt from the choices in extract if not given
+     */
+    idf?: FuzzballIdfTable;
+}
+
+export type FuzzballTokenizer = "whitespace" | "alnum-boundary" | "cjk-bigram" | "Intl.Segmenter" | ((str: string, opts: FuzzballBaseOptions) => string[]);
+
+export interface FuzzballIdfTable {
+    /**
+     * Number of choices
+     */
+    count: number;
+    /**
+     * Number of choices each token is in
+     */
+    df: { [token: string]: number };
+}
+
+export type FuzzballPhoneticAlgorithm = "soundex" | "nysiis" | "metaphone" | "double_metaphone";
+
+export interface FuzzballEditopsOptions {
+    /**
+     * Use Intl.Collator for locale-sensitive string comparison
+     */
+    useCollator?: boolean;
+    /**
+     * Locale of the collator (default "generic") and of the lowercasing in full_process, sets useCollator unless it's false
+     */
+    locale?: string;
+    /**
+     * Intl.Collator options, sensitivity is "base" unless given
+     */
+    collatorOptions?: Intl.CollatorOptions;
+    /**
+     * Substitution cost, default 1
+     */
+    subcost?: number;
+    /**
+     * Insertion cost, default 1
+     */
+    inscost?: number;
+    /**
+     * Deletion cost, default 1
+     */
+    delcost?: number;
+    /**
+     * String where each character it contains will be treated as a wildcard
+     */
+    wildcards?: string;
+    /**
+     * Positions are in code points rather than code units, default false
+     */
+    astral?: boolean;
+}
+
+export type FuzzballEditop = ["insert" | "delete" | "replace", number, number];
+export type FuzzballOpcode = ["equal" | "insert" | "delete" | "replace", number, number, number, number];
+
+export interface FuzzballExplainOptions extends FuzzballBaseOptions {
+    /**
+     * Explain partial_ratio instead of ratio
+     */
+    partial?: boolean;
+}
+
+export interface FuzzballExplanation {
+    /**
+     * The ratio or partial_ratio score
+     */
+    score: number;
+    /**
+     * Both strings after full_process
+     */
+    processed: [string, string];
+    /**
+     * Edit operations between the processed strings, [operation, position in str1, position in str2]
+     */
+    editops: FuzzballEditop[];
+    /**
+     * [start, end) ranges of each original string that matched
+     */
+    matches: [Array<[number, number]>, Array<[number, number]>];
+    /**
+     * [start, end) range of each original string that was compared, the best matching window of the longer string if partial
+     */
+    windows: [[number, number], [number, number]];
 }
 
 export interface FuzzballTokenSetOptions extends FuzzballBaseOptions {
@@ -40,6 +199,15 @@ export interface FuzzballTokenSetOptions extends FuzzballBaseOptions {
     trySimple?: boolean;
 }
 
+export interface FuzzballTokenIntersection {
+    /**
+     * Paired tokens, [token from str1, token from str2, ratio]
+     */
+    intersection: Array<[string, string, number]>;
+    diff1to2: string[];
+    diff2to1: string[];
+}
+
 interface FuzzballExtractBaseOptions extends FuzzballBaseOptions {
     /**
      * Include ratio as part of token set test suite
@@ -61,6 +229,26 @@ interface FuzzballExtractBaseOptions extends FuzzballBaseOptions {
      * Lowest score to return, default 0
      */
     cutoff?: number;
+    /**
+     * Use q-gram blocking to skip choices that can't reach the cutoff, for ratio, token_sort_ratio and token_set_ratio
+     */
+    blocking?: boolean;
+    /**
+     * Size of the q-grams used for blocking, default 3
+     */
+    ngram_size?: number;
+    /**
+     * extractAsync/extractStream only, called with the number of choices scored so far and the total each time the scan yields and when it finishes
+     */
+    onProgress?: (processed: number, total: number) => void;
+    /**
+     * extractAsync/extractStream only, score as many choices as fit in this many ms before yielding, default yields after every choice
+     */
+    timeSlice?: number;
+    /**
+     * extractAsync/extractStream only, an AbortSignal (or anything with an aborted property) to stop the scan on the next tick
+     */
+    signal?: { aborted: boolean, reason?: any };
 }
 
 export interface FuzzballExtractOptions extends FuzzballExtractBaseOptions {
@@ -121,6 +309,87 @@ export interface FuzzballDedupeObjOptionsWithMap extends FuzzballExtractObjectOp
     processor?: (str: any) => string;
 }
 
+interface FuzzballParallelBaseOptions extends FuzzballBaseOptions {
+    /**
+     * Include ratio as part of token set test suite
+     */
+    trySimple?: boolean;
+    /**
+     * One of fuzzball's scorers or its name, e.g. "token_set_ratio", default: ratio
+     */
+    scorer?: string | ((str1: any, str2: any, opts?: FuzzballExtractOptions) => number);
+    /**
+     * Function that will be run on each choice (but not the query) before scoring, runs on the main thread
+     */
+    processor?: (str: any) => any;
+    /**
+     * Max number of results to return
+     */
+    limit?: number;
+    /**
+     * Lowest score to return, default 0
+     */
+    cutoff?: number;
+    /**
+     * Number of workers to shard the choices across, default number of cpus
+     */
+    workers?: number;
+    /**
+     * Browser only, url of fuzzball.umd.min.js for the Web Workers to load
+     */
+    fuzzballUrl?: string;
+    /**
+     * An AbortSignal, terminates the workers and rejects once aborted
+     */
+    signal?: { aborted: boolean, reason?: any };
+}
+
+export interface FuzzballParallelOptions extends FuzzballParallelBaseOptions {
+    /**
+  * Return array of objects instead of tuples
+  */
+    returnObjects?: false;
+}
+
+export interface FuzzballParallelObjectOptions extends FuzzballParallelBaseOptions {
+    /**
+  * Return array of objects instead of tuples
+  */
+    returnObjects: true;
+}
+
+export interface FuzzballIndexOptions extends FuzzballBaseOptions {
+    /**
+     * Function that will be run on each choice (but not the query) before scoring
+     */
+    processor?: (str: any) => any;
+    /**
+     * Use q-gram blocking to skip choices that can't reach the cutoff, for ratio, token_sort_ratio and token_set_ratio
+     */
+    blocking?: boolean;
+    /**
+     * Size of the q-grams used for blocking, default 3
+     */
+    ngram_size?: number;
+}
+
+export interface FuzzballIndex {
+    /**
+     * Number of choices in the index
+     */
+    size: number;
+    extract(query: any, opts?: FuzzballExtractOptions): Array<[any, number, any]>;
+    extract(query: any, opts?: FuzzballExtractObjectOptions): Array<{ choice: any, score: number, key: any }>;
+    extractAsync(query: any, opts: FuzzballExtractOptions, callback: (err: any, results?: Array<[any, number, any]>) => void): void;
+    extractAsync(query: any, opts: FuzzballExtractObjectOptions, callback: (err: any, results?: Array<{ choice: any, score: number, key: any }>) => void): void;
+    extractAsync(query: any, opts?: FuzzballExtractOptions): Promise<Array<[any, number, any]>>;
+    extractAsync(query: any, opts?: FuzzballExtractObjectOptions): Promise<Array<{ choice: any, score: number, key: any }>>;
+    /**
+     * Plain object form of the index for saving, pass to loadIndex to restore
+     */
+    toJSON(): Object;
+}
+
 export function distance(str1: string, str2: string, opts?: FuzzballBaseOptions): number;
 export function ratio(str1: string, str2: string, opts?: FuzzballBaseOptions): number;
 export function partial_ratio(str1: string, str2: string, opts?: FuzzballBaseOptions): number;
@@ -128,9 +397,26 @@ export function token_set_ratio(str1: string, str2: string, opts?: FuzzballToken
 export function token_sort_ratio(str1: string, str2: string, opts?: FuzzballBaseOptions): number;
 export function partial_token_set_ratio(str1: string, str2: string, opts?: FuzzballTokenSetOptions): number;
 export function partial_token_sort_ratio(str1: string, str2: string, opts?: FuzzballBaseOptions): number;
+export function fuzzy_token_set_ratio(str1: string, str2: string, opts?: FuzzballTokenSetOptions): number;
+export function fuzzy_token_intersection(str1: string, str2: string, opts?: FuzzballTokenSetOptions): FuzzballTokenIntersection;
+export function idf_token_set_ratio(str1: string, str2: string, opts?: FuzzballTokenSetOptions): number;
+export function idf_table(choices: any[] | Object, opts?: FuzzballIndexOptions): FuzzballIdfTable;
 export function WRatio(str1: string, str2: string, opts?: FuzzballTokenSetOptions): number;
+export function jaro(str1: string, str2: string, opts?: FuzzballBaseOptions): number;
+export function jaro_winkler(str1: string, str2: string, opts?: FuzzballBaseOptions): number;
+export function phonetic_ratio(str1: string, str2: string, opts?: FuzzballBaseOptions): number;
+export function phonetic(str: string, alg?: "double_metaphone"): [string, string];
+export function phonetic(str: string, alg: "soundex" | "nysiis" | "metaphone"): string;
+export function registerRatioAlgorithm(name: string, fn: (str1: string, str2: string, opts: FuzzballBaseOptions) => number): void;
+export function explain(str1: string, str2: string, opts?: FuzzballExplainOptions): FuzzballExplanation;
+export function editops(str1: string, str2: string, opts?: FuzzballEditopsOptions): FuzzballEditop[];
+export function editops(opcodes: FuzzballOpcode[]): FuzzballEditop[];
+export function opcodes(str1: string, str2: string, opts?: FuzzballEditopsOptions): FuzzballOpcode[];
+export function opcodes(editops: FuzzballEditop[], str1: string | number, str2: string | number, opts?: FuzzballEditopsOptions): FuzzballOpcode[];
+export function matching_blocks(ops: FuzzballEditop[] | FuzzballOpcode[], str1: string | number, str2: string | number, opts?: FuzzballEditopsOptions): Array<[number, number, number]>;
+export function apply_edit(ops: FuzzballEditop[] | FuzzballOpcode[], str1: string, str2: string, opts?: FuzzballEditopsOptions): string;
 export function full_process(str: string, options?: FuzzballExtractOptions | boolean): string;
-export function process_and_sort(str: string): string;
+export function process_and_sort(str: string, opts?: FuzzballBaseOptions): string;
 export function unique_tokens(str: string, opts?: FuzzballExtractOptions): string[];
 
 export function extract(query: any, choices: any[], opts?: FuzzballExtractOptions): Array<[any, number, number]>;
@@ -142,6 +428,20 @@ export function extractAsync(query: any, choices: any[], opts: FuzzballExtractOp
 export function extractAsync(query: any, choices: Object, opts: FuzzballExtractOptions, callback: (err: any, results?: Array<[any, number, string]>) => void): void;
 export function extractAsync(query: any, choices: any[], opts: FuzzballExtractObjectOptions, callback: (err: any, results?: Array<{ choice: any, score: number, key: number }>) => void): void;
 export function extractAsync(query: any, choices: Object, opts: FuzzballExtractObjectOptions, callback: (err: any, results?: Array<{ choice: any, score: number, key: string }>) => void): void;
+export function extractAsync(query: any, choices: any[], opts?: FuzzballExtractOptions): Promise<Array<[any, number, number]>>;
+export function extractAsync(query: any, choices: Object, opts?: FuzzballExtractOptions): Promise<Array<[any, number, string]>>;
+export function extractAsync(query: any, choices: any[], opts?: FuzzballExtractObjectOptions): Promise<Array<{ choice: any, score: number, key: number }>>;
+export function extractAsync(query: any, choices: Object, opts?: FuzzballExtractObjectOptions): Promise<Array<{ choice: any, score: number, key: string }>>;
+
+export function extractStream(query: any, choices: any[], opts?: FuzzballExtractOptions): AsyncIterableIterator<[any, number, number]>;
+export function extractStream(query: any, choices: Object, opts?: FuzzballExtractOptions): AsyncIterableIterator<[any, number, string]>;
+export function extractStream(query: any, choices: any[], opts?: FuzzballExtractObjectOptions): AsyncIterableIterator<{ choice: any, score: number, key: number }>;
+export function extractStream(query: any, choices: Object, opts?: FuzzballExtractObjectOptions): AsyncIterableIterator<{ choice: any, score: number, key: string }>;
+
+export function extractParallel(query: any, choices: any[], opts?: FuzzballParallelOptions): Promise<Array<[any, number, number]>>;
+export function extractParallel(query: any, choices: Object, opts?: FuzzballParallelOptions): Promise<Array<[any, number, string]>>;
+export function extractParallel(query: any, choices: any[], opts?: FuzzballParallelObjectOptions): Promise<Array<{ choice: any, score: number, key: number }>>;
+export function extractParallel(query: any, choices: Object, opts?: FuzzballParallelObjectOptions): Promise<Array<{ choice: any, score: number, key: string }>>;
 
 export function dedupe(contains_dupes: any[], opts?: FuzzballDedupeOptions): Array<[any, number]>;
 export function dedupe(contains_dupes: Object, opts?: FuzzballDedupeOptions): Array<[any, string]>;
@@ -153,4 +453,7 @@ export function dedupe(contains_dupes: Object, opts?: FuzzballDedupeObjOptions):
 export function dedupe(contains_dupes: any[], opts?: FuzzballDedupeObjOptionsWithMap): Array<{item: any, key: number, matches: Array<{ choice: any, score: number, key: number }>}>;
 export function dedupe(contains_dupes: Object, opts?: FuzzballDedupeObjOptionsWithMap): Array<{item: any, key: string, matches: Array<{ choice: any, score: number, key: string }>}>;
 
+export function createIndex(choices: any[] | Object, opts?: FuzzballIndexOptions): FuzzballIndex;
+export function loadIndex(data: Object | string, opts?: FuzzballIndexOptions): FuzzballIndex;
+
 export as namespace fuzzball;
@@ -18,23 +18,68 @@
 
     var _iLeven = require('./lib/iLeven.js');
     var _wildLeven = require('./lib/wildcardLeven.js');
+    var _globLeven = require('./lib/globLeven.js');
     var _leven = require('./lib/leven.js');
     var _jsleven = require('./lib/jsleven');
+    var _damerau = require('./lib/damerau.js');
+    var _collators = require('./lib/collator.js');
+    var _phonetic = require('./lib/phonetic.js');
+    var _hungarian = require('./lib/hungarian.js');
+    var _matching_blocks = require('./lib/matching_blocks.js');
+    var _compare = require('./lib/compare.js');
+    var _idf = require('./lib/idf.js');
+    var _tokenizers = require('./lib/tokenizers.js');
+    var _word_filters = require('./lib/word_filters.js');
 
     if (typeof setImmediate !== 'function') require('setimmediate'); // didn't run in tiny-worker without extra check
 
-    var utils = require('./lib/utils.js')(_uniq, _uniqWith, _partialRight);
+    var _graphemes = require('./lib/graphemes.js')(_toArray);
+
+    var utils = require('./lib/utils.js')(_uniq, _uniqWith, _partialRight, _collators, _graphemes, _word_filters, _tokenizers, _globLeven, _iLeven);
     var _validate = utils.validate;
     var process_and_sort = utils.process_and_sort;
     var tokenize = utils.tokenize;
     var full_process = utils.full_process;
     var _clone_and_set_option_defaults = utils.clone_and_set_option_defaults;
     var _isCustomFunc = utils.isCustomFunc;
+    var _abortError = utils.abortError;
+    var _setScoreCutoff = utils.setScoreCutoff;
+
+    var ratio_algorithms = require('./lib/ratio_algorithms.js')(difflib, _toArray);
+    var registerRatioAlgorithm = ratio_algorithms.registerRatioAlgorithm;
+
+    var search_index = require('./lib/search_index.js')(utils, _isArray, _forEach, Heap, QRatio);
+
+    var createIndex = search_index.createIndex;
+    var loadIndex = search_index.loadIndex;
 
-    var processing = require('./lib/process.js')(_clone_and_set_option_defaults, _isArray, QRatio, extract);
+    var processing = require('./lib/process.js')(_clone_and_set_option_defaults, _isArray, QRatio, extract, createIndex, idf_table);
 
     var dedupe = processing.dedupe;
 
+    var parallel = require('./lib/parallel.js')(extract, Heap, _isArray, _keys, _abortError, ratio_algorithms.isBuiltin, idf_table, {
+        ratio: QRatio,
+        partial_ratio: partial_ratio,
+        token_set_ratio: token_set_ratio,
+        token_sort_ratio: token_sort_ratio,
+        partial_token_set_ratio: partial_token_set_ratio,
+        partial_token_sort_ratio: partial_token_sort_ratio,
+        fuzzy_token_set_ratio: fuzzy_token_set_ratio,
+        idf_token_set_ratio: idf_token_set_ratio,
+        WRatio: WRatio,
+        jaro: jaro,
+        jaro_winkler: jaro_winkler,
+        phonetic_ratio: phonetic_ratio
+    });
+
+    var extractParallel = parallel.extractParallel;
+
+    var extractStream = require('./lib/stream.js')(_clone_and_set_option_defaults, extractAsync).extractStream;
+
+    var _editops = require('./lib/editops.js')(_toArray);
+
+    var explain = require('./lib/explain.js')(utils, _editops, difflib, _toArray, _ratio).explain;
+
     /** Mostly follows after python fuzzywuzzy, https://github.com/seatgeek/fuzzywuzzy */
 
 
@@ -49,21 +94,34 @@
          * @param {string} str2 - the second string.
          * @param {Object} [options_p] - Additional options.
          * @param {boolean} [options_p.useCollator] - Use `Intl.Collator` for locale-sensitive string comparison.
+         * @param {string} [options_p.locale] - locale for the collator (default "generic") and the lowercasing in full_process, sets useCollator unless it's false
+         * @param {Object} [options_p.collatorOptions] - Intl.Collator options e.g. sensitivity (default "base"), ignorePunctuation, numeric
          * @param {boolean} [options_p.full_process] - Apply basic cleanup, non-alphanumeric to whitespace etc. if true. default true
          * @param {boolean} [options_p.force_ascii] - Strip non-ascii in full_process if true (non-ascii will not become whtespace), only applied if full_process is true as well, default true
+         * @param {string|string[]} [options_p.stopwords] - "english", "company" or a list of words to drop in full_process
+         * @param {string|Object} [options_p.synonyms] - "address", "company" or {word: replacement} applied in full_process
+         * @param {string|Object} [options_p.abbreviations] - "address", "company" or {abbreviation: expansion} applied in full_process, before synonyms
          * @param {boolean} [options_p.collapseWhitespace] - Collapse consecutive white space during full_process, default true
          * @param {number} [options_p.subcost] - Substitution cost, default 1 for distance, 2 for all ratios
+         * @param {number} [options_p.inscost] - Insertion cost, default 1
+         * @param {number} [options_p.delcost] - Deletion cost, default 1
+         * @param {string|Array[]} [options_p.substitutionCosts] - "ocr", "qwerty" or a list of [str1, str2, cost] substitutions that cost less, cost is a multiple of subcost
          * @param {string} [options_p.wildcards] - characters that will be used as wildcards if provided
+         * @param {boolean} [options_p.glob] - "*" matches any run of characters, "?" any one and "[...]" one of a class, in either string
+         * @param {boolean|string} [options_p.transpositions] - count swapping two adjacent characters as one edit, "osa" (or true) for optimal string alignment or "damerau" for true damerau-levenshtein
          * @param {number} [options_p.astral] - Use astral aware calculation
+         * @param {boolean} [options_p.graphemes] - Astral mode comparing extended grapheme clusters (emoji ZWJ sequences, flags, combining marks) as single characters
          * @param {string} [options_p.normalize] - Normalize unicode representations
+         * @param {number} [options_p.maxDistance] - stop early and return maxDistance + 1 once the distance is known to be over it
          * @returns {number} - the levenshtein distance (0 and above).
          */
         var options = _clone_and_set_option_defaults(options_p);
         str1 = options.full_process ? full_process(str1, options) : str1;
         str2 = options.full_process ? full_process(str2, options) : str2;
         if (typeof options.subcost === "undefined") options.subcost = 1;
-        if (options.astral) return _iLeven(str1, str2, options, _toArray);
-        else return _wildLeven(str1, str2, options, _leven); // falls back to _leven if no wildcards
+        if (_has_glob(str1, str2, options)) return _globLeven(str1, str2, options, _graphemes.units(options));
+        if (options.astral) return _iLeven(str1, str2, options, _graphemes.units(options), _damerau);
+        else return _wildLeven(str1, str2, options, _leven, _damerau); // falls back to _leven if no wildcards
     }
 
     function QRatio(str1, str2, options_p) {
@@ -75,13 +133,25 @@
          * @param {string} str2 - the second string.
          * @param {Object} [options_p] - Additional options.
          * @param {boolean} [options_p.useCollator] - Use `Intl.Collator` for locale-sensitive string comparison.
+         * @param {string} [options_p.locale] - locale for the collator (default "generic") and the lowercasing in full_process, sets useCollator unless it's false
+         * @param {Object} [options_p.collatorOptions] - Intl.Collator options e.g. sensitivity (default "base"), ignorePunctuation, numeric
          * @param {boolean} [options_p.full_process] - Apply basic cleanup, non-alphanumeric to whitespace etc. if true. default true
          * @param {boolean} [options_p.force_ascii] - Strip non-ascii in full_process if true (non-ascii will not become whtespace), only applied if full_process is true as well, default true
+         * @param {string|string[]} [options_p.stopwords] - "english", "company" or a list of words to drop in full_process
+         * @param {string|Object} [options_p.synonyms] - "address", "company" or {word: replacement} applied in full_process
+         * @param {string|Object} [options_p.abbreviations] - "address", "company" or {abbreviation: expansion} applied in full_process, before synonyms
          * @param {boolean} [options_p.collapseWhitespace] - Collapse consecutive white space during full_process, default true
          * @param {number} [options_p.subcost] - Substitution cost, default 1 for distance, 2 for all ratios
+         * @param {number} [options_p.inscost] - Insertion cost, default 1
+         * @param {number} [options_p.delcost] - Deletion cost, default 1
+         * @param {string|Array[]} [options_p.substitutionCosts] - "ocr", "qwerty" or a list of [str1, str2, cost] substitutions that cost less, cost is a multiple of subcost
          * @param {string} [options_p.wildcards] - characters that will be used as wildcards if provided
+         * @param {boolean} [options_p.glob] - "*" matches any run of characters, "?" any one and "[...]" one of a class, in either string
+         * @param {boolean|string} [options_p.transpositions] - count swapping two adjacent characters as one edit, "osa" (or true) for optimal string alignment or "damerau" for true damerau-levenshtein
          * @param {number} [options_p.astral] - Use astral aware calculation
+         * @param {boolean} [options_p.graphemes] - Astral mode comparing extended grapheme clusters (emoji ZWJ sequences, flags, combining marks) as single characters
          * @param {string} [options_p.normalize] - Normalize unicode representations
+         * @param {number} [options_p.score_cutoff] - return 0 as soon as the score is known to be no higher than this
          * @returns {number} - the levenshtein ratio (0-100).
          */
         var options = _clone_and_set_option_defaults(options_p);
@@ -101,13 +171,25 @@
          * @param {string} str2 - the second string.
          * @param {Object} [options_p] - Additional options.
          * @param {boolean} [options_p.useCollator] - Use `Intl.Collator` for locale-sensitive string comparison.
+         * @param {string} [options_p.locale] - locale for the collator (default "generic") and the lowercasing in full_process, sets useCollator unless it's false
+         * @param {Object} [options_p.collatorOptions] - Intl.Collator options e.g. sensitivity (default "base"), ignorePunctuation, numeric
          * @param {boolean} [options_p.full_process] - Apply basic cleanup, non-alphanumeric to whitespace etc. if true. default true
          * @param {boolean} [options_p.force_ascii] - Strip non-ascii in full_process if true (non-ascii will not become whtespace), only applied if full_process is true as well, default true
+         * @param {string|string[]} [options_p.stopwords] - "english", "company" or a list of words to drop in full_process
+         * @param {string|Object} [options_p.synonyms] - "address", "company" or {word: replacement} applied in full_process
+         * @param {string|Object} [options_p.abbreviations] - "address", "company" or {abbreviation: expansion} applied in full_process, before synonyms
          * @param {boolean} [options_p.collapseWhitespace] - Collapse consecutive white space during full_process, default true
          * @param {number} [options_p.subcost] - Substitution cost, default 1 for distance, 2 for all ratios
+         * @param {number} [options_p.inscost] - Insertion cost, default 1
+         * @param {number} [options_p.delcost] - Deletion cost, default 1
+         * @param {string|Array[]} [options_p.substitutionCosts] - "ocr", "qwerty" or a list of [str1, str2, cost] substitutions that cost less, cost is a multiple of subcost
          * @param {string} [options_p.wildcards] - characters that will be used as wildcards if provided
+         * @param {boolean} [options_p.glob] - "*" matches any run of characters, "?" any one and "[...]" one of a class, in either string
+         * @param {boolean|string} [options_p.transpositions] - count swapping two adjacent characters as one edit, "osa" (or true) for optimal string alignment or "damerau" for true damerau-levenshtein
          * @param {number} [options_p.astral] - Use astral aware calculation
+         * @param {boolean} [options_p.graphemes] - Astral mode comparing extended grapheme clusters (emoji ZWJ sequences, flags, combining marks) as single characters
          * @param {string} [options_p.normalize] - Normalize unicode representations
+         * @param {number} [options_p.score_cutoff] - return 0 as soon as the score is known to be no higher than this
          * @returns {number} - the levenshtein ratio (0-100).
          */
         var options = _clone_and_set_option_defaults(options_p);
@@ -127,13 +209,27 @@
          * @param {string} str2 - the second string.
          * @param {Object} [options_p] - Additional options.
          * @param {boolean} [options_p.useCollator] - Use `Intl.Collator` for locale-sensitive string comparison.
+         * @param {string} [options_p.locale] - locale for the collator (default "generic") and the lowercasing in full_process, sets useCollator unless it's false
+         * @param {Object} [options_p.collatorOptions] - Intl.Collator options e.g. sensitivity (default "base"), ignorePunctuation, numeric
          * @param {boolean} [options_p.full_process] - Apply basic cleanup, non-alphanumeric to whitespace etc. if true. default true
          * @param {boolean} [options_p.force_ascii] - Strip non-ascii in full_process if true (non-ascii will not become whtespace), only applied if full_process is true as well, default true
+         * @param {string|string[]} [options_p.stopwords] - "english", "company" or a list of words to drop in full_process
+         * @param {string|Object} [options_p.synonyms] - "address", "company" or {word: replacement} applied in full_process
+         * @param {string|Object} [options_p.abbreviations] - "address", "company" or {abbreviation: expansion} applied in full_process, before synonyms
          * @param {number} [options_p.subcost] - Substitution cost, default 1 for distance, 2 for all ratios
+         * @param {number} [options_p.inscost] - Insertion cost, default 1
+         * @param {number} [options_p.delcost] - Deletion cost, default 1
+         * @param {string|Array[]} [options_p.substitutionCosts] - "ocr", "qwerty" or a list of [str1, str2, cost] substitutions that cost less, cost is a multiple of subcost
          * @param {boolean} [options_p.trySimple] - try simple/partial ratio as part of (parial_)token_set_ratio test suite
          * @param {string} [options_p.wildcards] - characters that will be used as wildcards if provided
+         * @param {boolean} [options_p.glob] - "*" matches any run of characters, "?" any one and "[...]" one of a class, in either string
+         * @param {string|function} [options_p.tokenizer] - how token scorers split strings, "whitespace" (default), "alnum-boundary", "cjk-bigram", "Intl.Segmenter" or a function (str, options) returning the tokens
+         * @param {boolean|string} [options_p.transpositions] - count swapping two adjacent characters as one edit, "osa" (or true) for optimal string alignment or "damerau" for true damerau-levenshtein
          * @param {number} [options_p.astral] - Use astral aware calculation
+         * @param {boolean} [options_p.graphemes] - Astral mode comparing extended grapheme clusters (emoji ZWJ sequences, flags, combining marks) as single characters
          * @param {string} [options_p.normalize] - Normalize unicode representations
+         * @param {boolean|string} [options_p.phonetic] - compare phonetic codes of the tokens, "soundex", "nysiis", "metaphone" or "double_metaphone" (or true)
+         * @param {number} [options_p.score_cutoff] - return 0 as soon as the score is known to be no higher than this
          * @returns {number} - the levenshtein ratio (0-100).
          */
         var options = _clone_and_set_option_defaults(options_p);
@@ -153,13 +249,27 @@
          * @param {string} str2 - the second string.
          * @param {Object} [options_p] - Additional options.
          * @param {boolean} [options_p.useCollator] - Use `Intl.Collator` for locale-sensitive string comparison.
+         * @param {string} [options_p.locale] - locale for the collator (default "generic") and the lowercasing in full_process, sets useCollator unless it's false
+         * @param {Object} [options_p.collatorOptions] - Intl.Collator options e.g. sensitivity (default "base"), ignorePunctuation, numeric
          * @param {boolean} [options_p.full_process] - Apply basic cleanup, non-alphanumeric to whitespace etc. if true. default true
          * @param {boolean} [options_p.force_ascii] - Strip non-ascii in full_process if true (non-ascii will not become whtespace), only applied if full_process is true as well, default true
+         * @param {string|string[]} [options_p.stopwords] - "english", "company" or a list of words to drop in full_process
+         * @param {string|Object} [options_p.synonyms] - "address", "company" or {word: replacement} applied in full_process
+         * @param {string|Object} [options_p.abbreviations] - "address", "company" or {abbreviation: expansion} applied in full_process, before synonyms
          * @param {number} [options_p.subcost] - Substitution cost, default 1 for distance, 2 for all ratios
+         * @param {number} [options_p.inscost] - Insertion cost, default 1
+         * @param {number} [options_p.delcost] - Deletion cost, default 1
+         * @param {string|Array[]} [options_p.substitutionCosts] - "ocr", "qwerty" or a list of [str1, str2, cost] substitutions that cost less, cost is a multiple of subcost
          * @param {boolean} [options_p.trySimple] - try simple/partial ratio as part of (parial_)token_set_ratio test suite
          * @param {string} [options_p.wildcards] - characters that will be used as wildcards if provided
+         * @param {boolean} [options_p.glob] - "*" matches any run of characters, "?" any one and "[...]" one of a class, in either string
+         * @param {string|function} [options_p.tokenizer] - how token scorers split strings, "whitespace" (default), "alnum-boundary", "cjk-bigram", "Intl.Segmenter" or a function (str, options) returning the tokens
+         * @param {boolean|string} [options_p.transpositions] - count swapping two adjacent characters as one edit, "osa" (or true) for optimal string alignment or "damerau" for true damerau-levenshtein
          * @param {number} [options_p.astral] - Use astral aware calculation
+         * @param {boolean} [options_p.graphemes] - Astral mode comparing extended grapheme clusters (emoji ZWJ sequences, flags, combining marks) as single characters
          * @param {string} [options_p.normalize] - Normalize unicode representations
+         * @param {boolean|string} [options_p.phonetic] - compare phonetic codes of the tokens, "soundex", "nysiis", "metaphone" or "double_metaphone" (or true)
+         * @param {number} [options_p.score_cutoff] - return 0 as soon as the score is known to be no higher than this
          * @returns {number} - the levenshtein ratio (0-100).
          */
         var options = _clone_and_set_option_defaults(options_p);
@@ -171,6 +281,113 @@
         return _token_set(str1, str2, options);
     }
 
+    function fuzzy_token_set_ratio(str1, str2, options_p) {
+        /**
+         * Like token_set_ratio, but tokens only have to be similar rather than the same to count towards the intersection,
+         * e.g. "jonathon smith" and "jonathan smyth". Tokens are paired up to give the highest total similarity.
+         *
+         * @function fuzzy_token_set_ratio
+         * @param {string} str1 - the first string.
+         * @param {string} str2 - the second string.
+         * @param {Object} [options_p] - Additional options, same as token_set_ratio plus the below.
+         * @param {number} [options_p.token_threshold] - least ratio two tokens need to be paired, default 80
+         * @returns {number} - the levenshtein ratio (0-100).
+         */
+        var options = _clone_and_set_option_defaults(options_p);
+        options.score_cutoff = undefined; // token pairs have to be scored in full
+        str1 = options.full_process ? full_process(str1, options) : str1;
+        str2 = options.full_process ? full_process(str2, options) : str2;
+        if (!_validate(str1)) return 0;
+        if (!_validate(str2)) return 0;
+        return _fuzzy_token_set(str1, str2, options);
+    }
+
+    function fuzzy_token_intersection(str1, str2, options_p) {
+        /**
+         * The tokens fuzzy_token_set_ratio pairs up, and the ones left over from each string.
+         *
+         * @function fuzzy_token_intersection
+         * @param {string} str1 - the first string.
+         * @param {string} str2 - the second string.
+         * @param {Object} [options_p] - Additional options, same as fuzzy_token_set_ratio.
+         * @returns {Object} - {intersection: [[token1, token2, ratio], ...], diff1to2: [...], diff2to1: [...]}
+         */
+        var options = _clone_and_set_option_defaults(options_p);
+        options.score_cutoff = undefined;
+        str1 = options.full_process ? full_process(str1, options) : str1;
+        str2 = options.full_process ? full_process(str2, options) : str2;
+        var tokens1 = _validate(str1) ? tokenize(str1, options) : [];
+        var tokens2 = _validate(str2) ? tokenize(str2, options) : [];
+        return _fuzzy_token_pairs(tokens1, tokens2, options);
+    }
+
+    function idf_token_set_ratio(str1, str2, options_p) {
+        /**
+         * Set based score where each token counts by its inverse document frequency, so tokens most choices share
+         * ("inc", "the", "corp") count for less than rare ones. Tokens in common count in full, the ones left over are
+         * paired up as in fuzzy_token_set_ratio and count by their ratio. Unlike token_set_ratio a subset only scores 100 if nothing is left over.
+         * extract, dedupe and indexes learn the frequencies from their choices unless options.idf is given.
+         *
+         * @function idf_token_set_ratio
+         * @param {string} str1 - the first string.
+         * @param {string} str2 - the second string.
+         * @param {Object} [options_p] - Additional options, same as token_set_ratio plus the below.
+         * @param {number} [options_p.token_threshold] - least ratio two left over tokens need to be paired, default 80
+         * @param {Object} [options_p.idf] - token frequencies from idf_table, every token weighs the same if not given
+         * @returns {number} - the weighted ratio (0-100).
+         */
+        var options = _clone_and_set_option_defaults(options_p);
+        options.score_cutoff = undefined; // the left over tokens only make up part of the score
+        if (options.idf && !_idf.valid(options.idf)) throw new Error("Invalid idf table");
+        str1 = options.full_process ? full_process(str1, options) : str1;
+        str2 = options.full_process ? full_process(str2, options) : str2;
+        if (!_validate(str1)) return 0;
+        if (!_validate(str2)) return 0;
+        return _idf_token_set(str1, str2, options);
+    }
+
+    function idf_table(choices, options_p) {
+        /**
+         * Count how many choices each token appears in, for options.idf. Choices are processed the same as in extract.
+         *
+         * @function idf_table
+         * @param {String[]|Object[]|Object} choices - array of strings, or array of choice objects if processor is supplied, or object of form {key: choice}
+         * @param {Object} [options_p] - Additional options.
+         * @param {function} [options_p.processor] - takes each choice and outputs a value to be used for Scoring
+         * @param {boolean} [options_p.full_process] - Apply basic cleanup, non-alphanumeric to whitespace etc. if true. default true
+         * @param {boolean} [options_p.force_ascii] - Strip non-ascii in full_process if true (non-ascii will not become whtespace), only applied if full_process is true as well, default false
+         * @param {string|string[]} [options_p.stopwords] - "english", "company" or a list of words to drop in full_process
+         * @param {string|Object} [options_p.synonyms] - "address", "company" or {word: replacement} applied in full_process
+         * @param {string|Object} [options_p.abbreviations] - "address", "company" or {abbreviation: expansion} applied in full_process, before synonyms
+         * @param {boolean} [options_p.collapseWhitespace] - Collapse consecutive white space during full_process, default true
+         * @param {number} [options_p.astral] - Use astral aware calculation
+         * @param {boolean} [options_p.graphemes] - Astral mode comparing extended grapheme clusters (emoji ZWJ sequences, flags, combining marks) as single characters
+         * @param {string} [options_p.normalize] - Normalize unicode representations
+         * @returns {Object} - {count: number of choices, df: {token: number of choices containing it}}
+         */
+        var options = _clone_and_set_option_defaults(options_p);
+        if (!_isArray(choices) && !(choices instanceof Object)) throw new Error("Invalid choices");
+        if (options.processor && typeof options.processor !== "function") throw new Error("Invalid Processor");
+        var processor = options.processor || function (x) { return x; };
+        var normalize = options.astral && options.normalize && String.prototype.normalize;
+        var token_lists = [];
+        _forEach(choices, function (value) {
+            if (value && value.tokens) {
+                token_lists.push(value.tokens);
+                return;
+            }
+            var mychoice = processor(value);
+            if (options.full_process) mychoice = full_process(mychoice, options);
+            if (!_validate(mychoice)) {
+                token_lists.push([]);
+                return;
+            }
+            mychoice = String(mychoice);
+            token_lists.push(tokenize(normalize ? mychoice.normalize() : mychoice, options));
+        });
+        return _idf.table(token_lists);
+    }
+
     function token_sort_ratio(str1, str2, options_p) {
         /**
          * Calculate token sort ratio of the two strings.
@@ -180,12 +397,26 @@
          * @param {string} str2 - the second string.
          * @param {Object} [options_p] - Additional options.
          * @param {boolean} [options_p.useCollator] - Use `Intl.Collator` for locale-sensitive string comparison.
+         * @param {string} [options_p.locale] - locale for the collator (default "generic") and the lowercasing in full_process, sets useCollator unless it's false
+         * @param {Object} [options_p.collatorOptions] - Intl.Collator options e.g. sensitivity (default "base"), ignorePunctuation, numeric
          * @param {boolean} [options_p.full_process] - Apply basic cleanup, non-alphanumeric to whitespace etc. if true. default true
          * @param {boolean} [options_p.force_ascii] - Strip non-ascii in full_process if true (non-ascii will not become whtespace), only applied if full_process is true as well, default true
+         * @param {string|string[]} [options_p.stopwords] - "english", "company" or a list of words to drop in full_process
+         * @param {string|Object} [options_p.synonyms] - "address", "company" or {word: replacement} applied in full_process
+         * @param {string|Object} [options_p.abbreviations] - "address", "company" or {abbreviation: expansion} applied in full_process, before synonyms
          * @param {number} [options_p.subcost] - Substitution cost, default 1 for distance, 2 for all ratios
+         * @param {number} [options_p.inscost] - Insertion cost, default 1
+         * @param {number} [options_p.delcost] - Deletion cost, default 1
+         * @param {string|Array[]} [options_p.substitutionCosts] - "ocr", "qwerty" or a list of [str1, str2, cost] substitutions that cost less, cost is a multiple of subcost
          * @param {string} [options_p.wildcards] - characters that will be used as wildcards if provided
+         * @param {boolean} [options_p.glob] - "*" matches any run of characters, "?" any one and "[...]" one of a class, in either string
+         * @param {string|function} [options_p.tokenizer] - how token scorers split strings, "whitespace" (default), "alnum-boundary", "cjk-bigram", "Intl.Segmenter" or a function (str, options) returning the tokens
+         * @param {boolean|string} [options_p.transpositions] - count swapping two adjacent characters as one edit, "osa" (or true) for optimal string alignment or "damerau" for true damerau-levenshtein
          * @param {number} [options_p.astral] - Use astral aware calculation
+         * @param {boolean} [options_p.graphemes] - Astral mode comparing extended grapheme clusters (emoji ZWJ sequences, flags, combining marks) as single characters
          * @param {string} [options_p.normalize] - Normalize unicode representations
+         * @param {boolean|string} [options_p.phonetic] - compare phonetic codes of the tokens, "soundex", "nysiis", "metaphone" or "double_metaphone" (or true)
+         * @param {number} [options_p.score_cutoff] - return 0 as soon as the score is known to be no higher than this
          * @returns {number} - the levenshtein ratio (0-100).
          */
         var options = _clone_and_set_option_defaults(options_p);
@@ -193,9 +424,13 @@
         str2 = options.full_process ? full_process(str2, options) : str2;
         if (!_validate(str1)) return 0;
         if (!_validate(str2)) return 0;
-        if (!options.proc_sorted) {
-            str1 = process_and_sort(str1);
-            str2 = process_and_sort(str2);
+        if (options.phonetic) {
+            str1 = _phonetic_sorted(str1, options);
+            str2 = _phonetic_sorted(str2, options);
+        }
+        else if (!options.proc_sorted) {
+            str1 = process_and_sort(str1, options);
+            str2 = process_and_sort(str2, options);
         }
         return _ratio(str1, str2, options);
     }
@@ -209,12 +444,26 @@
          * @param {string} str2 - the second string.
          * @param {Object} [options_p] - Additional options.
          * @param {boolean} [options_p.useCollator] - Use `Intl.Collator` for locale-sensitive string comparison.
+         * @param {string} [options_p.locale] - locale for the collator (default "generic") and the lowercasing in full_process, sets useCollator unless it's false
+         * @param {Object} [options_p.collatorOptions] - Intl.Collator options e.g. sensitivity (default "base"), ignorePunctuation, numeric
          * @param {boolean} [options_p.full_process] - Apply basic cleanup, non-alphanumeric to whitespace etc. if true. default true
          * @param {boolean} [options_p.force_ascii] - Strip non-ascii in full_process if true (non-ascii will not become whtespace), only applied if full_process is true as well, default true
+         * @param {string|string[]} [options_p.stopwords] - "english", "company" or a list of words to drop in full_process
+         * @param {string|Object} [options_p.synonyms] - "address", "company" or {word: replacement} applied in full_process
+         * @param {string|Object} [options_p.abbreviations] - "address", "company" or {abbreviation: expansion} applied in full_process, before synonyms
          * @param {number} [options_p.subcost] - Substitution cost, default 1 for distance, 2 for all ratios
+         * @param {number} [options_p.inscost] - Insertion cost, default 1
+         * @param {number} [options_p.delcost] - Deletion cost, default 1
+         * @param {string|Array[]} [options_p.substitutionCosts] - "ocr", "qwerty" or a list of [str1, str2, cost] substitutions that cost less, cost is a multiple of subcost
          * @param {string} [options_p.wildcards] - characters that will be used as wildcards if provided
+         * @param {boolean} [options_p.glob] - "*" matches any run of characters, "?" any one and "[...]" one of a class, in either string
+         * @param {string|function} [options_p.tokenizer] - how token scorers split strings, "whitespace" (default), "alnum-boundary", "cjk-bigram", "Intl.Segmenter" or a function (str, options) returning the tokens
+         * @param {boolean|string} [options_p.transpositions] - count swapping two adjacent characters as one edit, "osa" (or true) for optimal string alignment or "damerau" for true damerau-levenshtein
          * @param {number} [options_p.astral] - Use astral aware calculation
+         * @param {boolean} [options_p.graphemes] - Astral mode comparing extended grapheme clusters (emoji ZWJ sequences, flags, combining marks) as single characters
          * @param {string} [options_p.normalize] - Normalize unicode representations
+         * @param {boolean|string} [options_p.phonetic] - compare phonetic codes of the tokens, "soundex", "nysiis", "metaphone" or "double_metaphone" (or true)
+         * @param {number} [options_p.score_cutoff] - return 0 as soon as the score is known to be no higher than this
          * @returns {number} - the levenshtein ratio (0-100).
          */
         var options = _clone_and_set_option_defaults(options_p);
@@ -223,9 +472,13 @@
         if (!_validate(str1)) return 0;
         if (!_validate(str2)) return 0;
         options.partial = true;
-        if (!options.proc_sorted) {
-            str1 = process_and_sort(str1);
-            str2 = process_and_sort(str2);
+        if (options.phonetic) {
+            str1 = _phonetic_sorted(str1, options);
+            str2 = _phonetic_sorted(str2, options);
+        }
+        else if (!options.proc_sorted) {
+            str1 = process_and_sort(str1, options);
+            str2 = process_and_sort(str2, options);
         }
         return _partial_ratio(str1, str2, options);
     }
@@ -239,16 +492,29 @@
          * @param {string} str2 - the second string.
          * @param {Object} [options_p] - Additional options.
          * @param {boolean} [options_p.useCollator] - Use `Intl.Collator` for locale-sensitive string comparison.
+         * @param {string} [options_p.locale] - locale for the collator (default "generic") and the lowercasing in full_process, sets useCollator unless it's false
+         * @param {Object} [options_p.collatorOptions] - Intl.Collator options e.g. sensitivity (default "base"), ignorePunctuation, numeric
          * @param {boolean} [options_p.full_process] - Apply basic cleanup, non-alphanumeric to whitespace etc. if true. default true
          * @param {boolean} [options_p.force_ascii] - Strip non-ascii in full_process if true (non-ascii will not become whtespace), only applied if full_process is true as well, default true
+         * @param {string|string[]} [options_p.stopwords] - "english", "company" or a list of words to drop in full_process
+         * @param {string|Object} [options_p.synonyms] - "address", "company" or {word: replacement} applied in full_process
+         * @param {string|Object} [options_p.abbreviations] - "address", "company" or {abbreviation: expansion} applied in full_process, before synonyms
          * @param {boolean} [options_p.collapseWhitespace] - Collapse consecutive white space during full_process, default true
          * @param {number} [options_p.subcost] - Substitution cost, default 1 for distance, 2 for all ratios
+         * @param {number} [options_p.inscost] - Insertion cost, default 1
+         * @param {number} [options_p.delcost] - Deletion cost, default 1
+         * @param {string|Array[]} [options_p.substitutionCosts] - "ocr", "qwerty" or a list of [str1, str2, cost] substitutions that cost less, cost is a multiple of subcost
          * @param {string} [options_p.wildcards] - characters that will be used as wildcards if provided
+         * @param {boolean} [options_p.glob] - "*" matches any run of characters, "?" any one and "[...]" one of a class, in either string
+         * @param {string|function} [options_p.tokenizer] - how token scorers split strings, "whitespace" (default), "alnum-boundary", "cjk-bigram", "Intl.Segmenter" or a function (str, options) returning the tokens
+         * @param {boolean|string} [options_p.transpositions] - count swapping two adjacent characters as one edit, "osa" (or true) for optimal string alignment or "damerau" for true damerau-levenshtein
          * @param {number} [options_p.astral] - Use astral aware calculation
+         * @param {boolean} [options_p.graphemes] - Astral mode comparing extended grapheme clusters (emoji ZWJ sequences, flags, combining marks) as single characters
          * @param {string} [options_p.normalize] - Normalize unicode representations
          * @returns {number} - the levenshtein ratio (0-100).
          */
         var options = _clone_and_set_option_defaults(options_p);
+        options.score_cutoff = undefined; // scaled partial scores could still round up past it
         //str1 = full_process(str1, options);  //fuzzywuzzy runs no matter what, reason? going by options.full_process
         //str2 = full_process(str2, options);
         str1 = options.full_process ? full_process(str1, options) : str1;
@@ -280,6 +546,107 @@
         }
     }
 
+    function jaro(str1, str2, options_p) {
+        /**
+         * Calculate jaro similarity of the two strings.
+         *
+         * @function jaro
+         * @param {string} str1 - the first string.
+         * @param {string} str2 - the second string.
+         * @param {Object} [options_p] - Additional options.
+         * @param {boolean} [options_p.useCollator] - Use `Intl.Collator` for locale-sensitive string comparison.
+         * @param {string} [options_p.locale] - locale for the collator (default "generic") and the lowercasing in full_process, sets useCollator unless it's false
+         * @param {Object} [options_p.collatorOptions] - Intl.Collator options e.g. sensitivity (default "base"), ignorePunctuation, numeric
+         * @param {boolean} [options_p.full_process] - Apply basic cleanup, non-alphanumeric to whitespace etc. if true. default true
+         * @param {boolean} [options_p.force_ascii] - Strip non-ascii in full_process if true (non-ascii will not become whtespace), only applied if full_process is true as well, default true
+         * @param {string|string[]} [options_p.stopwords] - "english", "company" or a list of words to drop in full_process
+         * @param {string|Object} [options_p.synonyms] - "address", "company" or {word: replacement} applied in full_process
+         * @param {string|Object} [options_p.abbreviations] - "address", "company" or {abbreviation: expansion} applied in full_process, before synonyms
+         * @param {boolean} [options_p.collapseWhitespace] - Collapse consecutive white space during full_process, default true
+         * @param {string} [options_p.wildcards] - characters that will be used as wildcards if provided
+         * @param {number} [options_p.astral] - Use astral aware calculation
+         * @param {boolean} [options_p.graphemes] - Astral mode comparing extended grapheme clusters (emoji ZWJ sequences, flags, combining marks) as single characters
+         * @param {string} [options_p.normalize] - Normalize unicode representations
+         * @returns {number} - the jaro similarity (0-100).
+         */
+        var options = _clone_and_set_option_defaults(options_p);
+        str1 = options.full_process ? full_process(str1, options) : str1;
+        str2 = options.full_process ? full_process(str2, options) : str2;
+        if (!_validate(str1)) return 0;
+        if (!_validate(str2)) return 0;
+        return _alg_ratio(ratio_algorithms.get("jaro"), str1, str2, options);
+    }
+
+    function jaro_winkler(str1, str2, options_p) {
+        /**
+         * Calculate jaro-winkler similarity of the two strings, jaro with a boost for a common prefix of up to 4 characters.
+         *
+         * @function jaro_winkler
+         * @param {string} str1 - the first string.
+         * @param {string} str2 - the second string.
+         * @param {Object} [options_p] - Additional options.
+         * @param {boolean} [options_p.useCollator] - Use `Intl.Collator` for locale-sensitive string comparison.
+         * @param {string} [options_p.locale] - locale for the collator (default "generic") and the lowercasing in full_process, sets useCollator unless it's false
+         * @param {Object} [options_p.collatorOptions] - Intl.Collator options e.g. sensitivity (default "base"), ignorePunctuation, numeric
+         * @param {boolean} [options_p.full_process] - Apply basic cleanup, non-alphanumeric to whitespace etc. if true. default true
+         * @param {boolean} [options_p.force_ascii] - Strip non-ascii in full_process if true (non-ascii will not become whtespace), only applied if full_process is true as well, default true
+         * @param {string|string[]} [options_p.stopwords] - "english", "company" or a list of words to drop in full_process
+         * @param {string|Object} [options_p.synonyms] - "address", "company" or {word: replacement} applied in full_process
+         * @param {string|Object} [options_p.abbreviations] - "address", "company" or {abbreviation: expansion} applied in full_process, before synonyms
+         * @param {boolean} [options_p.collapseWhitespace] - Collapse consecutive white space during full_process, default true
+         * @param {string} [options_p.wildcards] - characters that will be used as wildcards if provided
+         * @param {number} [options_p.astral] - Use astral aware calculation
+         * @param {boolean} [options_p.graphemes] - Astral mode comparing extended grapheme clusters (emoji ZWJ sequences, flags, combining marks) as single characters
+         * @param {string} [options_p.normalize] - Normalize unicode representations
+         * @returns {number} - the jaro-winkler similarity (0-100).
+         */
+        var options = _clone_and_set_option_defaults(options_p);
+        str1 = options.full_process ? full_process(str1, options) : str1;
+        str2 = options.full_process ? full_process(str2, options) : str2;
+        if (!_validate(str1)) return 0;
+        if (!_validate(str2)) return 0;
+        return _alg_ratio(ratio_algorithms.get("jaro_winkler"), str1, str2, options);
+    }
+
+    function phonetic_ratio(str1, str2, options_p) {
+        /**
+         * Blend of token_sort_ratio on the strings and on the phonetic codes of their tokens, so "Jon Smyth" scores
+         * well against "John Smith" while spelling still counts.
+         *
+         * @function phonetic_ratio
+         * @param {string} str1 - the first string.
+         * @param {string} str2 - the second string.
+         * @param {Object} [options_p] - Additional options, same as token_sort_ratio plus the below.
+         * @param {string} [options_p.phonetic] - "soundex", "nysiis", "metaphone" or "double_metaphone", default double_metaphone
+         * @param {number} [options_p.phonetic_weight] - how much of the score comes from the phonetic codes, 0-1, default 0.5
+         * @returns {number} - the blended ratio (0-100).
+         */
+        var options = _clone_and_set_option_defaults(options_p);
+        options.score_cutoff = undefined; // neither half has to beat it alone
+        str1 = options.full_process ? full_process(str1, options) : str1;
+        str2 = options.full_process ? full_process(str2, options) : str2;
+        if (!_validate(str1)) return 0;
+        if (!_validate(str2)) return 0;
+        var weight = typeof options.phonetic_weight === "number" ? Math.min(1, Math.max(0, options.phonetic_weight)) : 0.5;
+        var alg = options.phonetic || true;
+        var spelling = _ratio(process_and_sort(str1, options), process_and_sort(str2, options), options);
+        var sounds = _ratio(_phonetic_sorted(str1, { phonetic: alg }), _phonetic_sorted(str2, { phonetic: alg }), options);
+        return Math.round((1 - weight) * spelling + weight * sounds);
+    }
+
+    function phonetic(str, alg) {
+        /**
+         * Phonetic code of each word of a string, joined by spaces.
+         *
+         * @function phonetic
+         * @param {string} str - the string to encode.
+         * @param {string} [alg] - "soundex", "nysiis", "metaphone" or "double_metaphone", default double_metaphone
+         * @returns {string|string[]} - the codes, or [primary, alternate] codes for double_metaphone
+         */
+        if (!(str instanceof String) && typeof str !== "string") throw new Error("Invalid string");
+        return _phonetic.encode(str, alg);
+    }
+
     function extract(query, choices, options_p) {
         /**
          * Return the top scoring items from an array (or assoc array) of choices
@@ -293,18 +660,33 @@
          * @param {number} [options_p.limit] - optional max number of results to return, returns all if not supplied
          * @param {number} [options_p.cutoff] - minimum score that will get returned 0-100
          * @param {boolean} [options_p.useCollator] - Use `Intl.Collator` for locale-sensitive string comparison.
+         * @param {string} [options_p.locale] - locale for the collator (default "generic") and the lowercasing in full_process, sets useCollator unless it's false
+         * @param {Object} [options_p.collatorOptions] - Intl.Collator options e.g. sensitivity (default "base"), ignorePunctuation, numeric
          * @param {number} [options_p.astral] - Use astral aware calculation
+         * @param {boolean} [options_p.graphemes] - Astral mode comparing extended grapheme clusters (emoji ZWJ sequences, flags, combining marks) as single characters
          * @param {string} [options_p.normalize] - Normalize unicode representations
          * @param {boolean} [options_p.full_process] - Apply basic cleanup, non-alphanumeric to whitespace etc. if true. default true
          * @param {boolean} [options_p.force_ascii] - Strip non-ascii in full_process if true (non-ascii will not become whtespace), only applied if full_process is true as well, default false
+         * @param {string|string[]} [options_p.stopwords] - "english", "company" or a list of words to drop in full_process
+         * @param {string|Object} [options_p.synonyms] - "address", "company" or {word: replacement} applied in full_process
+         * @param {string|Object} [options_p.abbreviations] - "address", "company" or {abbreviation: expansion} applied in full_process, before synonyms
          * @param {boolean} [options_p.collapseWhitespace] - Collapse consecutive white space during full_process, default true
          * @param {boolean} [options_p.trySimple] - try simple/partial ratio as part of (parial_)token_set_ratio test suite
          * @param {number} [options_p.subcost] - Substitution cost, default 1 for distance, 2 for all ratios
+         * @param {number} [options_p.inscost] - Insertion cost, default 1
+         * @param {number} [options_p.delcost] - Deletion cost, default 1
+         * @param {string|Array[]} [options_p.substitutionCosts] - "ocr", "qwerty" or a list of [str1, str2, cost] substitutions that cost less, cost is a multiple of subcost
          * @param {string} [options_p.wildcards] - characters that will be used as wildcards if provided
+         * @param {boolean} [options_p.glob] - "*" matches any run of characters, "?" any one and "[...]" one of a class, in either string
+         * @param {string|function} [options_p.tokenizer] - how token scorers split strings, "whitespace" (default), "alnum-boundary", "cjk-bigram", "Intl.Segmenter" or a function (str, options) returning the tokens
+         * @param {boolean|string} [options_p.transpositions] - count swapping two adjacent characters as one edit, "osa" (or true) for optimal string alignment or "damerau" for true damerau-levenshtein
          * @param {boolean} [options_p.returnObjects] - return array of object instead of array of tuples; default false
+         * @param {boolean} [options_p.blocking] - use q-gram blocking to skip choices that can't reach the cutoff, for ratio, token_sort_ratio and token_set_ratio
+         * @param {number} [options_p.ngram_size] - size of the q-grams used for blocking, default 3
          * @returns {Array[] | Object[]} - array of choice results with their computed ratios (0-100).
          */
         var options = _clone_and_set_option_defaults(options_p);
+        if (options.blocking) return createIndex(choices, options).extract(query, options);
         var numchoices;
         if (_isArray(choices)) {
             numchoices = choices.length;
@@ -328,8 +710,10 @@
             options.scorer = QRatio;
             if (typeof console !== undefined) console.log("Using default scorer 'ratio'");
         }
+        if (options.scorer.name === "idf_token_set_ratio" && !options.idf) options.idf = idf_table(choices, options);
         var isCustom = _isCustomFunc(options.scorer); // check if func name is one of fuzzball's, so don't use same names..
         if (!options.cutoff || typeof options.cutoff !== "number") { options.cutoff = -1;}
+        _setScoreCutoff(options);
         var pre_processor = function(choice, force_ascii) {return choice;}
         if (options.full_process) {
             pre_processor = full_process;
@@ -356,10 +740,10 @@
         var tsort = false;
         var tset = false;
         if (options.scorer.name === "token_sort_ratio" || options.scorer.name === "partial_token_sort_ratio") {
-            var proc_sorted_query = process_and_sort(query);
+            var proc_sorted_query = process_and_sort(query, options);
             tsort = true;
         }
-        else if (options.scorer.name === "token_set_ratio" || options.scorer.name === "partial_token_set_ratio") {
+        else if (options.scorer.name === "token_set_ratio" || options.scorer.name === "partial_token_set_ratio" || options.scorer.name === "idf_token_set_ratio") {
             var query_tokens = tokenize(query, options);
             tset = true;
         }
@@ -381,7 +765,7 @@
                 if (value && value.proc_sorted) mychoice = value.proc_sorted;
                 else {
                     mychoice = pre_processor(options.processor(value), options);
-                    mychoice = process_and_sort(normalize ? mychoice.normalize() : mychoice);
+                    mychoice = process_and_sort(normalize ? mychoice.normalize() : mychoice, options);
                 }
                 result = options.scorer(proc_sorted_query, mychoice, options);
             }
@@ -438,18 +822,55 @@
          * @param {number} [options_p.limit] - optional max number of results to return, returns all if not supplied
          * @param {number} [options_p.cutoff] - minimum score that will get returned 0-100
          * @param {boolean} [options_p.useCollator] - Use `Intl.Collator` for locale-sensitive string comparison.
+         * @param {string} [options_p.locale] - locale for the collator (default "generic") and the lowercasing in full_process, sets useCollator unless it's false
+         * @param {Object} [options_p.collatorOptions] - Intl.Collator options e.g. sensitivity (default "base"), ignorePunctuation, numeric
          * @param {number} [options_p.astral] - Use astral aware calculation
+         * @param {boolean} [options_p.graphemes] - Astral mode comparing extended grapheme clusters (emoji ZWJ sequences, flags, combining marks) as single characters
          * @param {string} [options_p.normalize] - Normalize unicode representations
          * @param {boolean} [options_p.full_process] - Apply basic cleanup, non-alphanumeric to whitespace etc. if true. default true
          * @param {boolean} [options_p.force_ascii] - Strip non-ascii in full_process if true (non-ascii will not become whtespace), only applied if full_process is true as well, default false
+         * @param {string|string[]} [options_p.stopwords] - "english", "company" or a list of words to drop in full_process
+         * @param {string|Object} [options_p.synonyms] - "address", "company" or {word: replacement} applied in full_process
+         * @param {string|Object} [options_p.abbreviations] - "address", "company" or {abbreviation: expansion} applied in full_process, before synonyms
          * @param {boolean} [options_p.collapseWhitespace] - Collapse consecutive white space during full_process, default true
          * @param {boolean} [options_p.trySimple] - try simple/partial ratio as part of (parial_)token_set_ratio test suite
          * @param {number} [options_p.subcost] - Substitution cost, default 1 for distance, 2 for all ratios
+         * @param {number} [options_p.inscost] - Insertion cost, default 1
+         * @param {number} [options_p.delcost] - Deletion cost, default 1
+         * @param {string|Array[]} [options_p.substitutionCosts] - "ocr", "qwerty" or a list of [str1, str2, cost] substitutions that cost less, cost is a multiple of subcost
          * @param {string} [options_p.wildcards] - characters that will be used as wildcards if provided
+         * @param {boolean} [options_p.glob] - "*" matches any run of characters, "?" any one and "[...]" one of a class, in either string
+         * @param {string|function} [options_p.tokenizer] - how token scorers split strings, "whitespace" (default), "alnum-boundary", "cjk-bigram", "Intl.Segmenter" or a function (str, options) returning the tokens
+         * @param {boolean|string} [options_p.transpositions] - count swapping two adjacent characters as one edit, "osa" (or true) for optimal string alignment or "damerau" for true damerau-levenshtein
          * @param {boolean} [options_p.returnObjects] - return array of object instead of array of tuples; default false
-         * @param {function} callback - node style callback (err, arrayOfResults)
+         * @param {boolean} [options_p.blocking] - use q-gram blocking to skip choices that can't reach the cutoff, for ratio, token_sort_ratio and token_set_ratio
+         * @param {number} [options_p.ngram_size] - size of the q-grams used for blocking, default 3
+         * @param {function} [options_p.onProgress] - called with (processed, total) each time the scan yields and when it finishes
+         * @param {number} [options_p.timeSlice] - score as many choices as fit in this many ms before yielding, default yields after every choice
+         * @param {AbortSignal} [options_p.signal] - stop the scan on the next tick and call back with an AbortError once aborted
+         * @param {function} [callback] - node style callback (err, arrayOfResults), returns a Promise if not supplied
          */
+        if (typeof callback !== "function") {
+            return new Promise(function (resolve, reject) {
+                extractAsync(query, choices, options_p, function (err, results) {
+                    if (err) reject(err);
+                    else resolve(results);
+                });
+            });
+        }
         var options = _clone_and_set_option_defaults(options_p);
+        if (options.blocking) {
+            var index;
+            try {
+                index = createIndex(choices, options);
+            }
+            catch (err) {
+                callback(err);
+                return;
+            }
+            index.extractAsync(query, options, callback);
+            return;
+        }
 
         var isArray = false;
         var numchoices;
@@ -480,8 +901,18 @@
             options.scorer = QRatio;
             if (typeof console !== undefined) console.log("Using default scorer 'ratio'");
         }
+        if (options.scorer.name === "idf_token_set_ratio" && !options.idf) {
+            try {
+                options.idf = idf_table(choices, options);
+            }
+            catch (err) {
+                callback(err);
+                return;
+            }
+        }
         var isCustom = _isCustomFunc(options.scorer); // check if func name is one of fuzzball's, so don't use same names..
         if (!options.cutoff || typeof options.cutoff !== "number") { options.cutoff = -1; }
+        _setScoreCutoff(options);
         var pre_processor = function (choice, force_ascii) { return choice; }
         if (options.full_process) {
             pre_processor = full_process;
@@ -508,10 +939,10 @@
         var tsort = false;
         var tset = false;
         if (options.scorer.name === "token_sort_ratio" || options.scorer.name === "partial_token_sort_ratio") {
-            var proc_sorted_query = process_and_sort(query);
+            var proc_sorted_query = process_and_sort(query, options);
             tsort = true;
         }
-        else if (options.scorer.name === "token_set_ratio" || options.scorer.name === "partial_token_set_ratio") {
+        else if (options.scorer.name === "token_set_ratio" || options.scorer.name === "partial_token_set_ratio" || options.scorer.name === "idf_token_set_ratio") {
             var query_tokens = tokenize(query, options);
             tset = true;
         }
@@ -525,67 +956,79 @@
             cmpSort = function (a, b) { return b[1] - a[1]; };
         }
         var keys = Object.keys(choices);
+        var processed = 0;
         isArray ? searchLoop(0) : searchLoop(keys[0], 0);
         function searchLoop(c, i) {
-            if (isArray || choices.hasOwnProperty(c)) {
-                options.tokens = undefined;
-                options.proc_sorted = false;
-                if (tsort) {
-                    options.proc_sorted = true;
-                    if (choices[c] && choices[c].proc_sorted) mychoice = choices[c].proc_sorted;
-                    else {
-                        mychoice = pre_processor(options.processor(choices[c]), options);
-                        mychoice = process_and_sort(normalize ? mychoice.normalize() : mychoice);
+            if (options.signal && options.signal.aborted) {
+                callback(_abortError(options.signal));
+                return;
+            }
+            var sliceStart = options.timeSlice ? Date.now() : 0;
+            for (;;) {
+                if (isArray || choices.hasOwnProperty(c)) {
+                    options.tokens = undefined;
+                    options.proc_sorted = false;
+                    if (tsort) {
+                        options.proc_sorted = true;
+                        if (choices[c] && choices[c].proc_sorted) mychoice = choices[c].proc_sorted;
+                        else {
+                            mychoice = pre_processor(options.processor(choices[c]), options);
+                            mychoice = process_and_sort(normalize ? mychoice.normalize() : mychoice, options);
+                        }
+                        result = options.scorer(proc_sorted_query, mychoice, options);
                     }
-                    result = options.scorer(proc_sorted_query, mychoice, options);
-                }
-                else if (tset) {
-                    mychoice = "x"; //dummy string so it validates
-                    if (choices[c] && choices[c].tokens) {
-                        options.tokens = [query_tokens, choices[c].tokens];
-                        if (options.trySimple) mychoice = pre_processor(options.processor(choices[c]), options);
+                    else if (tset) {
+                        mychoice = "x"; //dummy string so it validates
+                        if (choices[c] && choices[c].tokens) {
+                            options.tokens = [query_tokens, choices[c].tokens];
+                            if (options.trySimple) mychoice = pre_processor(options.processor(choices[c]), options);
+                        }
+                        else {
+                            mychoice = pre_processor(options.processor(choices[c]), options);
+                            options.tokens = [query_tokens, tokenize((normalize ? mychoice.normalize() : mychoice), options)]
+                        }
+                        //query and mychoice only used for validation here unless trySimple = true
+                        result = options.scorer(query, mychoice, options);
+                    }
+                    else if (isCustom) {
+                        // options.full_process should be unmodified, don't pre-process here since mychoice maybe not string
+                        mychoice = options.processor(choices[c]);
+                        result = options.scorer(query, mychoice, options);
                     }
                     else {
                         mychoice = pre_processor(options.processor(choices[c]), options);
-                        options.tokens = [query_tokens, tokenize((normalize ? mychoice.normalize() : mychoice), options)]
+                        if (typeof mychoice !== "string" || mychoice.length === 0) anyblank = true;
+                        if (normalize && typeof mychoice === "string") mychoice = mychoice.normalize();
+                        result = options.scorer(query, mychoice, options);
+                    }
+                    if (isArray) idx = parseInt(c);
+                    else idx = c;
+                    if (result > options.cutoff) {
+                        if (options.returnObjects) results.push({ choice: choices[c], score: result, key: idx });
+                        else results.push([choices[c], result, idx]);
+                        if (options.onMatch) options.onMatch(results[results.length - 1]); // set by extractStream
                     }
-                    //query and mychoice only used for validation here unless trySimple = true
-                    result = options.scorer(query, mychoice, options);
-                }
-                else if (isCustom) {
-                    // options.full_process should be unmodified, don't pre-process here since mychoice maybe not string
-                    mychoice = options.processor(choices[c]);
-                    result = options.scorer(query, mychoice, options);
-                }
-                else {
-                    mychoice = pre_processor(options.processor(choices[c]), options);
-                    if (typeof mychoice !== "string" || mychoice.length === 0) anyblank = true;
-                    if (normalize && typeof mychoice === "string") mychoice = mychoice.normalize();
-                    result = options.scorer(query, mychoice, options);
                 }
-                if (isArray) idx = parseInt(c);
-                else idx = c;
-                if (result > options.cutoff) {
-                    if (options.returnObjects) results.push({ choice: choices[c], score: result, key: idx });
-                    else results.push([choices[c], result, idx]);
+                processed++;
+                if (isArray && c < choices.length - 1) c++;
+                else if (!isArray && i < keys.length - 1) c = keys[++i];
+                else break;
+                // without timeSlice yield after every choice
+                if (!options.timeSlice || Date.now() - sliceStart >= options.timeSlice) {
+                    if (options.onProgress) options.onProgress(processed, numchoices);
+                    setImmediate(function () { searchLoop(c, i) });
+                    return;
                 }
             }
-            if (isArray && c < choices.length - 1) {
-                setImmediate(function () { searchLoop(c + 1) })
-            }
-            else if (i < keys.length - 1) {
-                setImmediate(function () { searchLoop(keys[i + 1], i + 1) });
+            if (options.onProgress) options.onProgress(processed, numchoices);
+            if (anyblank) if (typeof console !== undefined) console.log("One or more choices were empty. (post-processing if applied)")
+            if (options.limit && typeof options.limit === "number" && options.limit > 0 && options.limit < numchoices && !options.unsorted) {
+                results = Heap.nlargest(results, options.limit, cmpHeap);
             }
-            else {
-                if (anyblank) if (typeof console !== undefined) console.log("One or more choices were empty. (post-processing if applied)")
-                if (options.limit && typeof options.limit === "number" && options.limit > 0 && options.limit < numchoices && !options.unsorted) {
-                    results = Heap.nlargest(results, options.limit, cmpHeap);
-                }
-                else if (!options.unsorted) {
-                    results = results.sort(cmpSort);
-                }
-                callback(null, results);
+            else if (!options.unsorted) {
+                results = results.sort(cmpSort);
             }
+            callback(null, results);
         }
     }
 
@@ -594,7 +1037,10 @@
 
     function _token_set(str1, str2, options) {
 
-        var partWild = _partialRight(_wildLeven, options, _leven);
+        var partWild;
+        if (options.glob) partWild = _partialRight(_globLeven, options, _graphemes.units(options));
+        else if (options.astral) partWild = _partialRight(_iLeven, options, _graphemes.units(options));
+        else partWild = _partialRight(_wildLeven, options, _leven);
         var wildCompare = function (a, b) { return partWild(a, b) === 0; }
 
         if (!options.tokens) {
@@ -605,8 +1051,12 @@
             var tokens1 = options.tokens[0];
             var tokens2 = options.tokens[1];
         }
+        if (options.phonetic) {
+            tokens1 = _uniq(_phonetic.codes(tokens1, options.phonetic));
+            tokens2 = _uniq(_phonetic.codes(tokens2, options.phonetic));
+        }
 
-        if (options.wildcards) {
+        if (options.wildcards || options.glob || options.useCollator) {
             var intersection = _intersectWith(tokens1, tokens2, wildCompare);
             var diff1to2 = _differenceWith(tokens1, tokens2, wildCompare);
             var diff2to1 = _differenceWith(tokens2, tokens1, wildCompare);
@@ -643,18 +1093,106 @@
         return Math.max.apply(null, pairwise);
     }
 
+    // tokens replaced with their phonetic codes and sorted, for token_sort_ratio with options.phonetic
+    function _phonetic_sorted(str, options) {
+        return _phonetic.codes(_tokenizers.split(str, options), options.phonetic).sort().join(" ");
+    }
+
+    // ratio from a registered ratio_alg, see registerRatioAlgorithm
+    function _alg_ratio(alg, str1, str2, options) {
+        if (options.astral && options.normalize && String.prototype.normalize) {
+            str1 = str1.normalize();
+            str2 = str2.normalize();
+        }
+        return alg(str1, str2, options);
+    }
+
+    // pair up tokens with the highest total ratio, only pairs at or above options.token_threshold count
+    function _fuzzy_token_pairs(tokens1, tokens2, options) {
+        var threshold = typeof options.token_threshold === "number" ? options.token_threshold : 80;
+        var ratios = [];
+        var costs = [];
+        var i, j;
+        for (i = 0; i < tokens1.length; i++) {
+            ratios[i] = [];
+            costs[i] = [];
+            for (j = 0; j < tokens2.length; j++) {
+                ratios[i][j] = _ratio(tokens1[i], tokens2[j], options);
+                costs[i][j] = ratios[i][j] >= threshold ? 100 - ratios[i][j] : 100;
+            }
+        }
+        var pairs = _hungarian(costs);
+        var intersection = [];
+        var diff1to2 = [];
+        var diff2to1 = [];
+        var paired = {};
+        for (i = 0; i < tokens1.length; i++) {
+            j = pairs[i];
+            if (j >= 0 && ratios[i][j] >= threshold) {
+                intersection.push([tokens1[i], tokens2[j], ratios[i][j]]);
+                paired[j] = true;
+            }
+            else diff1to2.push(tokens1[i]);
+        }
+        for (j = 0; j < tokens2.length; j++) {
+            if (!paired[j]) diff2to1.push(tokens2[j]);
+        }
+        intersection.sort(function (a, b) { return a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0; });
+        return { intersection: intersection, diff1to2: diff1to2.sort(), diff2to1: diff2to1.sort() };
+    }
+
+    // share of the total token weight of both strings that's matched, tokens in common match in full and
+    // the left over ones are paired up as in fuzzy_token_set_ratio and match by their ratio
+    function _idf_token_set(str1, str2, options) {
+        var tokens1 = options.tokens ? options.tokens[0] : tokenize(str1, options);
+        var tokens2 = options.tokens ? options.tokens[1] : tokenize(str2, options);
+        var intersection = _intersect(tokens1, tokens2);
+        var total = _idf.total(options.idf, tokens1) + _idf.total(options.idf, tokens2);
+        if (total === 0) return 0;
+        var matched = 2 * _idf.total(options.idf, intersection);
+        var pairs = _fuzzy_token_pairs(_difference(tokens1, tokens2), _difference(tokens2, tokens1), options).intersection;
+        for (var p = 0; p < pairs.length; p++) {
+            matched += pairs[p][2] / 100 * (_idf.weight(options.idf, pairs[p][0]) + _idf.weight(options.idf, pairs[p][1]));
+        }
+        return Math.round(100 * matched / total);
+    }
+
+    function _fuzzy_token_set(str1, str2, options) {
+        var pairs = _fuzzy_token_pairs(tokenize(str1, options), tokenize(str2, options), options);
+        var sect1 = [];
+        var sect2 = [];
+        for (var p = 0; p < pairs.intersection.length; p++) {
+            sect1.push(pairs.intersection[p][0]);
+            sect2.push(pairs.intersection[p][1]);
+        }
+        // each side's half of the intersection, in the same order so paired tokens line up
+        var sorted_sect1 = sect1.join(" ");
+        var sorted_sect2 = sect2.join(" ");
+        var combined_1to2 = (sorted_sect1 + " " + pairs.diff1to2.join(" ")).trim();
+        var combined_2to1 = (sorted_sect2 + " " + pairs.diff2to1.join(" ")).trim();
+        var pairwise = [
+            _ratio(sorted_sect1, combined_2to1, options),
+            _ratio(sorted_sect2, combined_1to2, options),
+            _ratio(combined_1to2, combined_2to1, options)
+        ];
+        if (options.trySimple) {
+            pairwise.push(_ratio(str1, str2, options));
+        }
+        return Math.max.apply(null, pairwise);
+    }
+
     var normalWarn = false;
     function _ratio(str1, str2, options) {
         if (!_validate(str1)) return 0;
         if (!_validate(str2)) return 0;
-        if (options.ratio_alg && options.ratio_alg === "difflib") {
-            var m = new difflib.SequenceMatcher(null, str1, str2);
-            var r = m.ratio();
-            return Math.round(100 * r);
-        }
+        var ratio_alg = options.ratio_alg ? ratio_algorithms.get(options.ratio_alg) : undefined;
+        if (ratio_alg) return _alg_ratio(ratio_alg, str1, str2, options);
         //to match behavior of python-Levenshtein/fuzzywuzzy, substitution cost is 2 if not specified, or would default to 1
         if (typeof options.subcost === "undefined") options.subcost = 2;
-        var levdistance, lensum;
+        var levdistance, lensum, maxdistance;
+        var user_maxdistance = options.maxDistance;
+        var weighted = _damerau.weighted(options);
+        var len1, len2, globs;
         if (options.astral) {
             if (options.normalize) {
                 if (String.prototype.normalize) {
@@ -668,29 +1206,57 @@
                     }
                 }
             }
-            levdistance = _iLeven(str1, str2, options, _toArray);
-            lensum = _toArray(str1).length + _toArray(str2).length
+            len1 = _graphemes.units(options)(str1).length;
+            len2 = _graphemes.units(options)(str2).length;
         }
         else {
-            if (!options.wildcards && !options.useCollator && options.subcost === 2) {
-                levdistance = _jsleven(str1, str2);
-                lensum = str1.length + str2.length;
-            }
-            else if (!options.wildcards) {
-                levdistance = _leven(str1, str2, options);
-                lensum = str1.length + str2.length;
-            }
-            else {
-                levdistance = _wildLeven(str1, str2, options, _leven); // falls back to _leven if invalid
-                lensum = str1.length + str2.length;
-            }
+            len1 = str1.length;
+            len2 = str2.length;
+        }
+        if (_has_glob(str1, str2, options)) {
+            globs = [_globLeven.parse(str1, options, _graphemes.units(options)), _globLeven.parse(str2, options, _graphemes.units(options))];
+            len1 = _globLeven.count(globs[0]);
+            len2 = _globLeven.count(globs[1]);
+            if (len1 + len2 === 0) return 100; // nothing but "*"s
         }
+        // with uneven insert/delete costs the distance is scaled by the most it could be instead, so still 0-100
+        lensum = weighted ? _damerau.max_distance(len1, len2, options) : len1 + len2;
+        options.maxDistance = maxdistance = _cutoff_distance(lensum, options, weighted);
+        if (globs) {
+            levdistance = _globLeven.distance(globs[0], globs[1], options);
+        }
+        else if (options.astral) {
+            levdistance = _iLeven(str1, str2, options, _graphemes.units(options), _damerau); // handles wildcards too
+        }
+        else if (!options.wildcards && !options.useCollator && options.subcost === 2 && !options.transpositions && !weighted) {
+            // length difference alone is enough to rule out a lot, full early exit in _leven isn't worth losing _jsleven's speed
+            if (Math.abs(str1.length - str2.length) > maxdistance) levdistance = maxdistance + 1;
+            else levdistance = _jsleven(str1, str2);
+        }
+        else if (!options.wildcards) {
+            levdistance = _leven(str1, str2, options, _damerau);
+        }
+        else {
+            levdistance = _wildLeven(str1, str2, options, _leven, _damerau); // falls back to _leven if invalid
+        }
+        options.maxDistance = user_maxdistance;
+        if (levdistance > maxdistance) return 0; // can't reach options.score_cutoff
         return Math.round(100 * ((lensum - levdistance)/lensum));
     }
 
+    // largest distance that can still give a ratio above options.score_cutoff
+    function _cutoff_distance(lensum, options, weighted) {
+        if (typeof options.score_cutoff !== "number" || options.score_cutoff < 0) return undefined;
+        var distance = lensum * (100 - Math.floor(options.score_cutoff) - 0.5) / 100 + 1e-9;
+        // costs can be fractional when weighted
+        return weighted ? distance : Math.floor(distance);
+    }
+
     function _partial_ratio(str1, str2, options) {
         if (!_validate(str1)) return 0;
         if (!_validate(str2)) return 0;
+        if (_has_glob(str1, str2, options)) return _glob_partial_ratio(str1, str2, options);
+        if (options.graphemes || options.wildcards) return _units_partial_ratio(str1, str2, options);
         if (str1.length <= str2.length) {
             var shorter = str1
             var longer = str2
@@ -713,6 +1279,52 @@
         return Math.max.apply(null, scores);
     }
 
+    function _has_glob(str1, str2, options) {
+        return options.glob && (_globLeven.isPattern(str1) || _globLeven.isPattern(str2));
+    }
+
+    // ratio of the pattern with fewer characters against the part of the other it aligns with best
+    function _glob_partial_ratio(str1, str2, options) {
+        if (options.astral && options.normalize && String.prototype.normalize) {
+            str1 = str1.normalize();
+            str2 = str2.normalize();
+        }
+        if (typeof options.subcost === "undefined") options.subcost = 2;
+        var tokens1 = _globLeven.parse(str1, options, _graphemes.units(options));
+        var tokens2 = _globLeven.parse(str2, options, _graphemes.units(options));
+        if (_globLeven.count(tokens1) <= _globLeven.count(tokens2)) {
+            return _ratio(str1, _globLeven.window(tokens1, tokens2, options), options);
+        }
+        return _ratio(str2, _globLeven.window(tokens2, tokens1, options), options);
+    }
+
+    // same as _partial_ratio, but matching and cutting out windows by character (code point or grapheme if astral)
+    // so they aren't split, and finding the blocks with wildcards matching anything
+    function _units_partial_ratio(str1, str2, options) {
+        if (options.astral && options.normalize && String.prototype.normalize) {
+            str1 = str1.normalize();
+            str2 = str2.normalize();
+        }
+        var units = options.astral ? _graphemes.units(options) : function (str) { return str.split(""); };
+        var chars1 = units(str1);
+        var chars2 = units(str2);
+        var shorter = chars1.length <= chars2.length ? chars1 : chars2;
+        var longer = chars1.length <= chars2.length ? chars2 : chars1;
+        var blocks;
+        if (options.wildcards) blocks = _matching_blocks(shorter, longer, _compare.equality(options));
+        else blocks = new difflib.SequenceMatcher(null, shorter, longer).getMatchingBlocks();
+        var scores = [];
+        var shorter_str = shorter.join("");
+        for (var b = 0; b < blocks.length; b++) {
+            var long_start = (blocks[b][1] - blocks[b][0]) > 0 ? (blocks[b][1] - blocks[b][0]) : 0;
+            var long_substr = longer.slice(long_start, long_start + shorter.length).join("");
+            var r = _ratio(shorter_str, long_substr, options);
+            if (r > 99.5) return 100;
+            else scores.push(r);
+        }
+        return Math.max.apply(null, scores);
+    }
+
     //polyfill for Object.keys
     // From https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object/keys
     if (!Object.keys) {
@@ -764,13 +1376,31 @@
         token_sort_ratio: token_sort_ratio,
         partial_token_set_ratio: partial_token_set_ratio,
         partial_token_sort_ratio: partial_token_sort_ratio,
+        fuzzy_token_set_ratio: fuzzy_token_set_ratio,
+        fuzzy_token_intersection: fuzzy_token_intersection,
+        idf_token_set_ratio: idf_token_set_ratio,
+        idf_table: idf_table,
         WRatio: WRatio,
+        jaro: jaro,
+        jaro_winkler: jaro_winkler,
+        phonetic_ratio: phonetic_ratio,
+        phonetic: phonetic,
+        registerRatioAlgorithm: registerRatioAlgorithm,
+        explain: explain,
+        editops: _editops.editops,
+        opcodes: _editops.opcodes,
+        matching_blocks: _editops.matching_blocks,
+        apply_edit: _editops.apply_edit,
         full_process: full_process,
         extract: extract,
         extractAsync: extractAsync,
+        extractParallel: extractParallel,
+        extractStream: extractStream,
         process_and_sort: process_and_sort,
         unique_tokens: tokenize,
-        dedupe: dedupe
+        dedupe: dedupe,
+        createIndex: createIndex,
+        loadIndex: loadIndex
     };
 
      module.exports = fuzzball;
@@ -0,0 +1,9 @@
+// @ts-check
+// error to call back with when an extractAsync scan is stopped by options.signal, shared by all the bundles
+
+module.exports = function abortError(signal) {
+    if (signal.reason !== undefined) return signal.reason;
+    var err = new Error("The operation was aborted");
+    err.name = "AbortError";
+    return err;
+};
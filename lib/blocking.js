@@ -0,0 +1,65 @@
+// q-gram blocking, cheaply rules out choices that can't reach the cutoff before running the full scorer.
+//
+// Only valid for the default levenshtein ratio, where with a substitution cost of 2 the distance is
+// lensum - 2 * LCS and the ratio is 2 * LCS / lensum. For a common subsequence of length L, each
+// unmatched character of a breaks at most q of a's q-grams and each run of unmatched characters in b
+// breaks at most q - 1 more, so the two strings share at least
+// |a| - q + 1 - q * (|a| - L) - (q - 1) * (|b| - L) q-grams (counting duplicates).
+// The exception is strings of the same length differing in a single character, which lib/jsleven.js
+// gives a distance of 1 rather than 2, they still share at least |a| - 2q + 1.
+
+function ngram_counts(str, q) {
+    var grams = Object.create(null);
+    for (var i = 0; i + q <= str.length; i++) {
+        var gram = str.substr(i, q);
+        grams[gram] = (grams[gram] || 0) + 1;
+    }
+    return grams;
+}
+
+// gram -> flat array of [string index, count, string index, count, ...]
+function build_postings(strings, q) {
+    var postings = Object.create(null);
+    for (var i = 0; i < strings.length; i++) {
+        if (typeof strings[i] !== "string") continue;
+        var grams = ngram_counts(strings[i], q);
+        for (var gram in grams) {
+            if (!postings[gram]) postings[gram] = [];
+            postings[gram].push(i, grams[gram]);
+        }
+    }
+    return postings;
+}
+
+// number of q-grams each string shares with the query
+function shared_counts(query, postings, n, q) {
+    var shared = [];
+    for (var i = 0; i < n; i++) shared[i] = 0;
+    var grams = ngram_counts(query, q);
+    for (var gram in grams) {
+        var list = postings[gram];
+        if (!list) continue;
+        for (var p = 0; p < list.length; p += 2) {
+            shared[list[p]] += list[p + 1] < grams[gram] ? list[p + 1] : grams[gram];
+        }
+    }
+    return shared;
+}
+
+// false only if a ratio above cutoff is impossible for strings of these lengths sharing this many q-grams
+function can_pass(la, lb, shared, q, cutoff) {
+    // Math.round(100 * 2L / lensum) > cutoff needs 2L / lensum >= (floor(cutoff) + 0.5) / 100
+    var lcs_min = Math.ceil((Math.floor(cutoff) + 0.5) * (la + lb) / 200 - 1e-9);
+    if (la === lb && la > 0 && Math.round(100 * (2 * la - 1) / (2 * la)) > cutoff && shared >= la - 2 * q + 1) return true;
+    if (lcs_min > Math.min(la, lb)) return false;
+    var bound_a = la - q + 1 - q * (la - lcs_min) - (q - 1) * (lb - lcs_min);
+    var bound_b = lb - q + 1 - q * (lb - lcs_min) - (q - 1) * (la - lcs_min);
+    return shared >= Math.max(bound_a, bound_b);
+}
+
+module.exports = {
+    ngram_counts: ngram_counts,
+    build_postings: build_postings,
+    shared_counts: shared_counts,
+    can_pass: can_pass
+};
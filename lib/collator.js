@@ -0,0 +1,114 @@
+// @ts-check
+// the Intl.Collator used with options.useCollator, options.locale (default "generic") and options.collatorOptions
+// (sensitivity "base" unless given, ignorePunctuation, numeric etc.) pick which, one is made per locale and options.
+// Each also gives characters collation class IDs, equal for characters it compares as equal, so the distance loops
+// compare integers instead of calling collator.compare for every cell.
+
+var cache = {};
+var unsupportedWarned = false;
+// the same options get used for every choice, so skip building the key when they're the last ones
+var last = { locale: null, collatorOptions: null, entry: null };
+
+// useCollator, or a locale or collatorOptions unless useCollator is false
+function enabled(options) {
+    if (!options || typeof options !== "object") return false;
+    if (options.useCollator) return true;
+    return !!(options.locale || options.collatorOptions) && options.useCollator !== false;
+}
+
+// {collator, ids, reps, repIds} for the options, null if the collator isn't enabled or Intl.Collator isn't available
+function entry(options) {
+    if (!enabled(options)) return null;
+    if (typeof Intl === "undefined" || typeof Intl.Collator === "undefined") {
+        if (!unsupportedWarned && typeof console !== undefined) console.warn("Collator could not be initialized and wouldn't be used");
+        unsupportedWarned = true;
+        return null;
+    }
+    var locale = options.locale || "generic";
+    if (last.entry && locale === last.locale && options.collatorOptions === last.collatorOptions) return last.entry;
+    var collatorOptions = { sensitivity: "base" };
+    if (options.collatorOptions) {
+        var keys = Object.keys(options.collatorOptions);
+        for (var k = 0; k < keys.length; k++) collatorOptions[keys[k]] = options.collatorOptions[keys[k]];
+    }
+    var key = JSON.stringify([locale, collatorOptions]);
+    if (!cache.hasOwnProperty(key)) {
+        try {
+            // ids: character -> class ID, reps: one character of each class in collation order, repIds: their IDs
+            cache[key] = { collator: Intl.Collator(locale, collatorOptions), ids: Object.create(null), reps: [], repIds: [] };
+        } catch (err) {
+            throw new Error("Invalid locale or collatorOptions, " + err.message);
+        }
+    }
+    last.locale = locale;
+    last.collatorOptions = options.collatorOptions;
+    last.entry = cache[key];
+    return cache[key];
+}
+
+// null if the collator isn't enabled or Intl.Collator isn't available
+function get(options) {
+    var found = entry(options);
+    return found ? found.collator : null;
+}
+
+// a new character is binary searched among one character of each class seen so far, then remembered
+function classId(found, ch) {
+    var id = found.ids[ch];
+    if (id !== undefined) return id;
+    var lo = 0, hi = found.reps.length;
+    while (lo < hi) {
+        var mid = (lo + hi) >> 1;
+        var order = found.collator.compare(ch, found.reps[mid]);
+        if (order === 0) {
+            id = found.repIds[mid];
+            break;
+        }
+        if (order < 0) hi = mid;
+        else lo = mid + 1;
+    }
+    if (id === undefined) {
+        id = found.reps.length;
+        found.reps.splice(lo, 0, ch);
+        found.repIds.splice(lo, 0, id);
+    }
+    found.ids[ch] = id;
+    return id;
+}
+
+// function (ch) giving the collation class ID of a character, null if the collator isn't used
+function classifier(options) {
+    var found = entry(options);
+    if (!found) return null;
+    return function (ch) {
+        return classId(found, ch);
+    };
+}
+
+// collation class IDs of each character of a string (code units) or array of characters
+function classIds(options, chars) {
+    var found = entry(options);
+    var ids = [];
+    for (var c = 0; c < chars.length; c++) ids[c] = classId(found, chars[c]);
+    return ids;
+}
+
+// lowercasing for full_process, locale aware if options.locale is set, e.g. "I" is "ı" in "tr"
+function lower(str, options) {
+    if (options && typeof options === "object" && options.locale && String.prototype.toLocaleLowerCase) {
+        try {
+            return str.toLocaleLowerCase(options.locale);
+        } catch (err) {
+            throw new Error("Invalid locale, " + err.message);
+        }
+    }
+    return str.toLowerCase();
+}
+
+module.exports = {
+    enabled: enabled,
+    get: get,
+    classifier: classifier,
+    classIds: classIds,
+    lower: lower
+};
@@ -0,0 +1,27 @@
+// @ts-check
+// character equality shared by the non-levenshtein algorithms (editops, jaro, lcs, hamming)
+
+var collators = require('./collator.js');
+
+// code units, or code points if astral
+function chars(str, options, _toArray) {
+    return (options && options.astral) ? _toArray(str) : str.split("");
+}
+
+// wildcards match anything, useCollator compares collation class IDs (see collator.js)
+// wildcards are case insensitive unless full_process is off, same as lib/wildcardLeven.js
+function equality(options) {
+    var classId = collators.classifier(options);
+    var wildcards = (options && options.wildcards && typeof options.wildcards === "string") ? options.wildcards : "";
+    if (wildcards && !(options.full_process === false && options.processed !== true)) wildcards += wildcards.toLowerCase();
+    return function (x, y) {
+        if (x === y) return true;
+        if (wildcards && (wildcards.indexOf(x) !== -1 || wildcards.indexOf(y) !== -1)) return true;
+        return classId ? classId(x) === classId(y) : false;
+    };
+}
+
+module.exports = {
+    chars: chars,
+    equality: equality
+};
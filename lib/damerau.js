@@ -0,0 +1,165 @@
+// @ts-check
+// edit distance over arrays of characters for when the faster cores in leven.js can't be used:
+// options.transpositions also allows swapping two adjacent characters at a cost of 1, "damerau" for true
+// damerau-levenshtein, anything else for optimal string alignment (where a transposed pair can't be edited again,
+// so "ca" -> "abc" is 3 rather than 2), options.inscost/options.delcost weight insertions and deletions
+// and options.substitutionCosts makes some substitutions cheaper, see substitution_costs.js
+
+var substitution_costs = require('./substitution_costs.js');
+
+function costs(options) {
+    var subcost = 1;
+    var inscost = 1;
+    var delcost = 1;
+    if (options && options.subcost && typeof options.subcost === "number") subcost = options.subcost;
+    if (options && options.inscost && typeof options.inscost === "number") inscost = options.inscost;
+    if (options && options.delcost && typeof options.delcost === "number") delcost = options.delcost;
+    return { subcost: subcost, inscost: inscost, delcost: delcost };
+}
+
+function damerau(achars, bchars, options, equal) {
+    var cost = costs(options);
+    var subcost = cost.subcost;
+    var inscost = cost.inscost;
+    var delcost = cost.delcost;
+    var maxDistance = (options && typeof options.maxDistance === "number") ? options.maxDistance : Infinity;
+    var aLen = achars.length;
+    var bLen = bchars.length;
+    var i, j;
+
+    var table = options && options.substitutionCosts ? substitution_costs(options.substitutionCosts) : null;
+    var rules = table && table.multi.length ? table.multi : null;
+
+    // exact if either is empty, otherwise the least it can be unless a multi character substitution like "rn" for "m" covers some of it
+    var lengthDistance = lengthCost(aLen, bLen, cost);
+    if (lengthDistance > maxDistance && (!rules || aLen === 0 || bLen === 0)) {
+        return maxDistance + 1;
+    }
+
+    if (aLen === 0 || bLen === 0) {
+        return lengthDistance;
+    }
+
+    function substitute(x, y) {
+        var mult = table.cost(x, y);
+        return mult === undefined ? subcost : mult * subcost;
+    }
+
+    // cheapest way to (i, j) through a multi character substitution ending there, distance(i', j') for earlier cells
+    function multiple(i, j, distance) {
+        var best = Infinity;
+        for (var r = 0; r < rules.length; r++) {
+            var from = rules[r].from;
+            var to = rules[r].to;
+            if (from.length > i || to.length > j) continue;
+            var m;
+            for (m = 0; m < from.length && achars[i - from.length + m] === from[m]; m++);
+            if (m < from.length) continue;
+            for (m = 0; m < to.length && bchars[j - to.length + m] === to[m]; m++);
+            if (m < to.length) continue;
+            var d = distance(i - from.length, j - to.length) + rules[r].cost * subcost;
+            if (d < best) best = d;
+        }
+        return best;
+    }
+
+    var ret;
+    if (options.transpositions === "damerau") {
+        // Lowrance-Wagner, with the last matching row/column tracked per column so equal() can be
+        // anything (wildcards, collator) rather than needing an alphabet lookup
+        var inf = aLen * delcost + bLen * inscost + 1;
+        var width = bLen + 2;
+        var h = new Array((aLen + 2) * width);
+        var lastRow = [];
+        var hCell = function (i, j) { return h[(i + 1) * width + j + 1]; };
+        h[0] = inf;
+        for (i = 0; i <= aLen; i++) {
+            h[(i + 1) * width] = inf;
+            h[(i + 1) * width + 1] = i * delcost;
+        }
+        for (j = 0; j <= bLen; j++) {
+            h[j + 1] = inf;
+            h[width + j + 1] = j * inscost;
+            lastRow[j] = 0;
+        }
+        for (i = 1; i <= aLen; i++) {
+            var lastCol = 0;
+            for (j = 1; j <= bLen; j++) {
+                var k = lastRow[j];
+                var l = lastCol;
+                var sub = subcost;
+                if (equal(achars[i - 1], bchars[j - 1])) {
+                    sub = 0;
+                    lastCol = j;
+                }
+                else if (table) sub = substitute(achars[i - 1], bchars[j - 1]);
+                ret = Math.min(
+                    h[i * width + j] + sub,
+                    h[(i + 1) * width + j] + inscost,
+                    h[i * width + j + 1] + delcost,
+                    h[k * width + l] + (i - k - 1) * delcost + 1 + (j - l - 1) * inscost
+                );
+                if (rules) ret = Math.min(ret, multiple(i, j, hCell));
+                h[(i + 1) * width + j + 1] = ret;
+            }
+            for (j = 1; j <= bLen; j++) {
+                if (equal(achars[i - 1], bchars[j - 1])) lastRow[j] = i;
+            }
+        }
+    }
+    else {
+        var transpose = !!(options && options.transpositions);
+        // the last few rows, as far back as a transposition or multi character substitution can reach
+        var depth = Math.max(3, rules ? table.longest + 1 : 0);
+        var rows = [];
+        for (i = 0; i < depth; i++) rows[i] = [];
+        var row = rows[0];
+        var prev, rowMin;
+        var rowCell = function (i, j) { return rows[i % depth][j]; };
+        for (j = 0; j <= bLen; j++) row[j] = j * inscost;
+        for (i = 1; i <= aLen; i++) {
+            prev = row;
+            row = rows[i % depth];
+            row[0] = rowMin = i * delcost;
+            for (j = 1; j <= bLen; j++) {
+                ret = Math.min(
+                    prev[j - 1] + (equal(achars[i - 1], bchars[j - 1]) ? 0 : table ? substitute(achars[i - 1], bchars[j - 1]) : subcost),
+                    prev[j] + delcost,
+                    row[j - 1] + inscost
+                );
+                if (transpose && i > 1 && j > 1 && equal(achars[i - 1], bchars[j - 2]) && equal(achars[i - 2], bchars[j - 1]) && rows[(i - 2) % depth][j - 2] + 1 < ret) {
+                    ret = rows[(i - 2) % depth][j - 2] + 1;
+                }
+                if (rules) ret = Math.min(ret, multiple(i, j, rowCell));
+                row[j] = ret;
+                if (ret < rowMin) rowMin = ret;
+            }
+            // transpositions and multi character substitutions can reach back past this row, so only safe to stop early without them
+            if (!transpose && !rules && rowMin > maxDistance) return maxDistance + 1;
+        }
+    }
+    return ret > maxDistance ? maxDistance + 1 : ret;
+}
+
+// least the length difference alone can cost
+function lengthCost(aLen, bLen, cost) {
+    return aLen > bLen ? (aLen - bLen) * cost.delcost : (bLen - aLen) * cost.inscost;
+}
+
+// whether options.inscost or options.delcost are set to something other than 1, or there are options.substitutionCosts,
+// so distances can be fractional and the faster cores can't be used
+damerau.weighted = function (options) {
+    var cost = costs(options);
+    return cost.inscost !== 1 || cost.delcost !== 1 || !!(options && options.substitutionCosts);
+};
+
+// the distance between two strings with nothing in common, the most it can be for these lengths
+damerau.max_distance = function (aLen, bLen, options) {
+    var cost = costs(options);
+    var shortest = Math.min(aLen, bLen);
+    var all = aLen * cost.delcost + bLen * cost.inscost;
+    var substituted = shortest * cost.subcost + lengthCost(aLen, bLen, cost);
+    return Math.min(all, substituted);
+};
+
+module.exports = damerau;
@@ -0,0 +1,243 @@
+// @ts-check
+// edit operations between two strings, same formats as python-Levenshtein's editops, opcodes, matching_blocks and apply_edit
+
+var compare = require('./compare.js');
+var equality = compare.equality;
+
+module.exports = function (_toArray) {
+    var module = {};
+
+    // code units, or code points if astral
+    function units(str, options) {
+        return compare.chars(str, options, _toArray);
+    }
+
+    function validate(str) {
+        if (!(str instanceof String) && typeof str !== "string") throw new Error("Invalid string");
+        return String(str);
+    }
+
+    // every step of a cheapest alignment, including the "equal" ones
+    function alignment(a, b, options) {
+        var achars = units(a, options);
+        var bchars = units(b, options);
+        var aLen = achars.length;
+        var bLen = bchars.length;
+        var subcost = 1;
+        if (options && options.subcost && typeof options.subcost === "number") subcost = options.subcost;
+        var inscost = (options && options.inscost && typeof options.inscost === "number") ? options.inscost : 1;
+        var delcost = (options && options.delcost && typeof options.delcost === "number") ? options.delcost : 1;
+        var equal = equality(options);
+        var width = bLen + 1;
+        var d = new Array((aLen + 1) * width);
+        var i, j;
+        for (i = 0; i <= aLen; i++) d[i * width] = i * delcost;
+        for (j = 0; j <= bLen; j++) d[j] = j * inscost;
+        for (i = 1; i <= aLen; i++) {
+            for (j = 1; j <= bLen; j++) {
+                var diag = d[(i - 1) * width + j - 1] + (equal(achars[i - 1], bchars[j - 1]) ? 0 : subcost);
+                var del = d[(i - 1) * width + j] + delcost;
+                var ins = d[i * width + j - 1] + inscost;
+                d[i * width + j] = diag < del ? (diag < ins ? diag : ins) : (del < ins ? del : ins);
+            }
+        }
+        var steps = [];
+        i = aLen;
+        j = bLen;
+        while (i > 0 || j > 0) {
+            var here = d[i * width + j];
+            if (i > 0 && j > 0 && equal(achars[i - 1], bchars[j - 1]) && here === d[(i - 1) * width + j - 1]) {
+                steps.push(["equal", --i, --j]);
+            }
+            else if (i > 0 && j > 0 && here === d[(i - 1) * width + j - 1] + subcost) {
+                steps.push(["replace", --i, --j]);
+            }
+            else if (i > 0 && here === d[(i - 1) * width + j] + delcost) {
+                steps.push(["delete", --i, j]);
+            }
+            else {
+                steps.push(["insert", i, --j]);
+            }
+        }
+        return steps.reverse();
+    }
+
+    function _is_opcodes(ops) {
+        return ops.length > 0 && ops[0].length === 5;
+    }
+
+    function _length(str, options) {
+        return typeof str === "number" ? str : units(validate(str), options).length;
+    }
+
+    // fill in the equal stretches between editops and group runs of the same operation
+    function _editops_to_opcodes(ops, len1, len2) {
+        var codes = [];
+        var i = 0, j = 0;
+        function add(tag, i2, j2) {
+            var last = codes[codes.length - 1];
+            if (last && last[0] === tag && last[2] === i && last[4] === j) {
+                last[2] = i2;
+                last[4] = j2;
+            }
+            else codes.push([tag, i, i2, j, j2]);
+            i = i2;
+            j = j2;
+        }
+        for (var o = 0; o < ops.length; o++) {
+            var op = ops[o];
+            if (op[1] > i || op[2] > j) {
+                if (op[1] - i !== op[2] - j) throw new Error("Invalid edit operations");
+                add("equal", op[1], op[2]);
+            }
+            if (op[0] === "replace") add("replace", i + 1, j + 1);
+            else if (op[0] === "insert") add("insert", i, j + 1);
+            else if (op[0] === "delete") add("delete", i + 1, j);
+            else throw new Error("Invalid edit operations");
+        }
+        if (len1 - i !== len2 - j) throw new Error("Invalid edit operations");
+        if (i < len1) add("equal", len1, len2);
+        return codes;
+    }
+
+    function _opcodes_to_editops(codes) {
+        var ops = [];
+        for (var c = 0; c < codes.length; c++) {
+            var tag = codes[c][0], i1 = codes[c][1], i2 = codes[c][2], j1 = codes[c][3], j2 = codes[c][4];
+            if (tag === "equal") continue;
+            var k = 0;
+            if (tag === "replace") {
+                for (; i1 + k < i2 && j1 + k < j2; k++) ops.push(["replace", i1 + k, j1 + k]);
+            }
+            for (var d = i1 + k; d < i2; d++) ops.push(["delete", d, j1 + k]);
+            for (var n = j1 + k; n < j2; n++) ops.push(["insert", i2, n]);
+        }
+        return ops;
+    }
+
+    module.alignment = alignment;
+    module.units = units;
+
+    module.editops = function editops(str1, str2, options_p) {
+
+        /**
+        * Edit operations that turn str1 into str2, python-Levenshtein style [operation, position in str1, position in str2]
+        * where operation is "replace", "insert" or "delete". Strings are used as is, no full_process.
+        * Can also be called as editops(opcodes) to convert opcodes to editops.
+        *
+        * @function editops
+        * @param {string|Array[]} str1 - the source string, or opcodes to convert
+        * @param {string} str2 - the destination string
+        * @param {Object} [options_p] - Additional options.
+        * @param {boolean} [options_p.useCollator] - Use `Intl.Collator` for locale-sensitive string comparison.
+        * @param {string} [options_p.locale] - locale for the collator (default "generic") and the lowercasing in full_process, sets useCollator unless it's false
+        * @param {Object} [options_p.collatorOptions] - Intl.Collator options e.g. sensitivity (default "base"), ignorePunctuation, numeric
+        * @param {number} [options_p.subcost] - Substitution cost, default 1
+        * @param {number} [options_p.inscost] - Insertion cost, default 1
+        * @param {number} [options_p.delcost] - Deletion cost, default 1
+        * @param {string} [options_p.wildcards] - characters that will be used as wildcards if provided
+        * @param {boolean} [options_p.astral] - positions are in code points rather than code units
+        * @returns {Array[]} - list of edit operations
+        */
+        if (Array.isArray(str1)) return _is_opcodes(str1) ? _opcodes_to_editops(str1) : str1.slice();
+        var steps = alignment(validate(str1), validate(str2), options_p);
+        var ops = [];
+        for (var s = 0; s < steps.length; s++) {
+            if (steps[s][0] !== "equal") ops.push(steps[s]);
+        }
+        return ops;
+    }
+
+    module.opcodes = function opcodes(str1, str2, options_p) {
+
+        /**
+        * Same as editops but in difflib's opcode form, [tag, i1, i2, j1, j2] meaning str1.slice(i1, i2) should be
+        * replaced by str2.slice(j1, j2), where tag is "equal", "replace", "insert" or "delete".
+        * Can also be called as opcodes(editops, str1, str2, options) to convert editops to opcodes, the strings
+        * can be given as their lengths.
+        *
+        * @function opcodes
+        * @param {string|Array[]} str1 - the source string, or editops to convert
+        * @param {string|number} str2 - the destination string
+        * @param {Object} [options_p] - Additional options, same as editops
+        * @returns {Array[]} - list of opcodes
+        */
+        if (Array.isArray(str1)) {
+            // opcodes(editops, str1, str2, options)
+            if (_is_opcodes(str1)) return str1.slice();
+            return _editops_to_opcodes(str1, _length(str2, arguments[3]), _length(options_p, arguments[3]));
+        }
+        str1 = validate(str1);
+        str2 = validate(str2);
+        return _editops_to_opcodes(module.editops(str1, str2, options_p), units(str1, options_p).length, units(str2, options_p).length);
+    }
+
+    module.matching_blocks = function matching_blocks(ops, str1, str2, options_p) {
+
+        /**
+        * Matching blocks [position in str1, position in str2, length] from editops or opcodes,
+        * ending with a [str1 length, str2 length, 0] block like difflib's get_matching_blocks.
+        *
+        * @function matching_blocks
+        * @param {Array[]} ops - editops or opcodes
+        * @param {string|number} str1 - the source string or its length
+        * @param {string|number} str2 - the destination string or its length
+        * @param {Object} [options_p] - Additional options.
+        * @param {boolean} [options_p.astral] - positions are in code points rather than code units
+        * @returns {Array[]} - list of matching blocks
+        */
+        var len1 = _length(str1, options_p);
+        var len2 = _length(str2, options_p);
+        var codes = _is_opcodes(ops) ? ops : _editops_to_opcodes(ops, len1, len2);
+        var blocks = [];
+        for (var c = 0; c < codes.length; c++) {
+            if (codes[c][0] === "equal" && codes[c][2] > codes[c][1]) blocks.push([codes[c][1], codes[c][3], codes[c][2] - codes[c][1]]);
+        }
+        blocks.push([len1, len2, 0]);
+        return blocks;
+    }
+
+    module.apply_edit = function apply_edit(ops, str1, str2, options_p) {
+
+        /**
+        * Apply editops or opcodes to str1, taking inserted and replacement characters from str2.
+        * Editops can be any subset of the editops from str1 to str2.
+        *
+        * @function apply_edit
+        * @param {Array[]} ops - editops or opcodes
+        * @param {string} str1 - the source string
+        * @param {string} str2 - the destination string
+        * @param {Object} [options_p] - Additional options.
+        * @param {boolean} [options_p.astral] - positions are in code points rather than code units
+        * @returns {string} - the edited string
+        */
+        var achars = units(validate(str1), options_p);
+        var bchars = units(validate(str2), options_p);
+        var result = [];
+        var i = 0;
+        var o;
+        if (_is_opcodes(ops)) {
+            for (o = 0; o < ops.length; o++) {
+                if (ops[o][0] === "equal") result.push.apply(result, achars.slice(ops[o][1], ops[o][2]));
+                else result.push.apply(result, bchars.slice(ops[o][3], ops[o][4]));
+            }
+            return result.join("");
+        }
+        for (o = 0; o < ops.length; o++) {
+            var op = ops[o];
+            if (op[1] > achars.length || op[2] > bchars.length || op[1] < i) throw new Error("Invalid edit operations");
+            while (i < op[1]) result.push(achars[i++]);
+            if (op[0] === "replace") {
+                result.push(bchars[op[2]]);
+                i++;
+            }
+            else if (op[0] === "insert") result.push(bchars[op[2]]);
+            else if (op[0] === "delete") i++;
+            else throw new Error("Invalid edit operations");
+        }
+        while (i < achars.length) result.push(achars[i++]);
+        return result.join("");
+    }
+
+    return module;
+}
@@ -0,0 +1,162 @@
+module.exports = function (utils, _editops, difflib, _toArray, _ratio) {
+    var module = {};
+
+    var full_process = utils.full_process;
+    var _clone_and_set_option_defaults = utils.clone_and_set_option_defaults;
+    var xre = require('./xregexp/index.js');
+    var compare = require('./compare.js');
+    var matching_blocks = require('./matching_blocks.js');
+
+    var alphaNum = xre('^[\\pN\\pL]$');
+
+    // [start, end) in str of every code unit (or code point if astral) of its lowercased form
+    function _lowered_units(str, options) {
+        var lowered = [];
+        var cps = _toArray(str);
+        var start = 0;
+        for (var c = 0; c < cps.length; c++) {
+            var end = start + cps[c].length;
+            var lower = _editops.units(cps[c].toLowerCase(), options);
+            for (var l = 0; l < lower.length; l++) lowered.push({ ch: lower[l], start: start, end: end });
+            start = end;
+        }
+        return lowered;
+    }
+
+    // greedily line each unit of the processed string up with the original character it came from,
+    // full_process only lowercases, turns non-alphanumerics into spaces and drops characters
+    function _source_ranges(original, processed_units, options) {
+        var lowered = _lowered_units(original, options);
+        var wildcards = options.wildcards ? options.wildcards.toLowerCase() : "";
+        var ranges = [];
+        var k = 0;
+        for (var u = 0; u < processed_units.length; u++) {
+            var unit = processed_units[u];
+            ranges[u] = null;
+            for (var n = k; n < lowered.length; n++) {
+                var ch = lowered[n].ch;
+                if (ch === unit ||
+                    (wildcards && unit === wildcards[0] && wildcards.indexOf(ch) !== -1) ||
+                    (/\s/.test(unit) && !alphaNum.test(ch)) ||
+                    (String.prototype.normalize && ch.normalize() === unit)) {
+                    ranges[u] = [lowered[n].start, lowered[n].end];
+                    k = n + 1;
+                    break;
+                }
+            }
+        }
+        return ranges;
+    }
+
+    function _merge(ranges) {
+        ranges.sort(function (a, b) { return a[0] - b[0]; });
+        var merged = [];
+        for (var r = 0; r < ranges.length; r++) {
+            var last = merged[merged.length - 1];
+            if (last && ranges[r][0] <= last[1]) last[1] = Math.max(last[1], ranges[r][1]);
+            else merged.push([ranges[r][0], ranges[r][1]]);
+        }
+        return merged;
+    }
+
+    module.explain = function explain(str1, str2, options_p) {
+
+        /**
+        * Explain a ratio or partial_ratio score. Returns the score along with the edit operations
+        * between the processed strings and the character ranges of the original (pre full_process)
+        * strings that matched, e.g. for bolding matched text. With options.partial the best matching
+        * window of the longer string found via difflib blocks is aligned, same as partial_ratio.
+        *
+        * @function explain
+        * @param {string} str1 - the first string.
+        * @param {string} str2 - the second string.
+        * @param {Object} [options_p] - Additional options, same as ratio plus the below.
+        * @param {boolean} [options_p.partial] - explain partial_ratio instead of ratio
+        * @returns {Object} - {score, processed: [str1, str2], editops: [[op, pos1, pos2], ...], matches: [[[start, end], ...], [[start, end], ...]], windows: [[start, end], [start, end]]}
+        */
+        var options = _clone_and_set_option_defaults(options_p);
+        if (typeof options.subcost === "undefined") options.subcost = 2;
+        var strings = [str1, str2];
+        var processed = [];
+        for (var s = 0; s < 2; s++) {
+            if (!(strings[s] instanceof String) && typeof strings[s] !== "string") strings[s] = "";
+            strings[s] = String(strings[s]);
+            processed[s] = options.full_process ? full_process(strings[s], options) : strings[s];
+            if (options.astral && options.normalize && String.prototype.normalize) processed[s] = processed[s].normalize();
+        }
+        options.full_process = false;
+        options.normalize = false;
+
+        // code unit range of the processed strings that gets aligned, the whole string unless partial
+        var windows = [[0, processed[0].length], [0, processed[1].length]];
+        var score;
+        if (options.partial && processed[0].length && processed[1].length) {
+            var short_idx = processed[0].length <= processed[1].length ? 0 : 1;
+            var shorter = processed[short_idx];
+            var longer = processed[1 - short_idx];
+            var blocks;
+            if (options.wildcards) blocks = matching_blocks(shorter.split(""), longer.split(""), compare.equality(options));
+            else blocks = new difflib.SequenceMatcher(null, shorter, longer).getMatchingBlocks();
+            score = -1;
+            for (var b = 0; b < blocks.length; b++) {
+                var long_start = (blocks[b][1] - blocks[b][0]) > 0 ? (blocks[b][1] - blocks[b][0]) : 0;
+                var long_end = Math.min(long_start + shorter.length, longer.length);
+                var r = _ratio(shorter, longer.substring(long_start, long_end), options);
+                if (r > score) {
+                    score = r;
+                    windows[1 - short_idx] = [long_start, long_end];
+                }
+                if (r > 99.5) {
+                    score = 100;
+                    break;
+                }
+            }
+        }
+        else score = _ratio(processed[0], processed[1], options);
+
+        var compared = [];
+        var offsets = [];
+        for (s = 0; s < 2; s++) {
+            compared[s] = processed[s].substring(windows[s][0], windows[s][1]);
+            offsets[s] = _editops.units(processed[s].substring(0, windows[s][0]), options).length;
+        }
+        var steps = _editops.alignment(compared[0], compared[1], options);
+        var ops = [];
+        var matched = [[], []];
+        for (var t = 0; t < steps.length; t++) {
+            var step = [steps[t][0], steps[t][1] + offsets[0], steps[t][2] + offsets[1]];
+            if (step[0] === "equal") {
+                matched[0].push(step[1]);
+                matched[1].push(step[2]);
+            }
+            else ops.push(step);
+        }
+
+        var matches = [];
+        var original_windows = [];
+        for (s = 0; s < 2; s++) {
+            var processed_units = _editops.units(processed[s], options);
+            var sources = _source_ranges(strings[s], processed_units, options);
+            var ranges = [];
+            for (var p = 0; p < matched[s].length; p++) {
+                if (sources[matched[s][p]]) ranges.push(sources[matched[s][p]]);
+            }
+            matches[s] = _merge(ranges);
+            var first = offsets[s];
+            var last = offsets[s] + _editops.units(compared[s], options).length - 1;
+            while (first <= last && !sources[first]) first++;
+            while (last >= first && !sources[last]) last--;
+            original_windows[s] = first <= last ? [sources[first][0], sources[last][1]] : [0, 0];
+        }
+
+        return {
+            score: score,
+            processed: processed,
+            editops: ops,
+            matches: matches,
+            windows: original_windows
+        };
+    }
+
+    return module;
+}
@@ -0,0 +1,195 @@
+// @ts-check
+// options.glob, levenshtein distance where "*" matches any run of characters (including none), "?" any one character,
+// "[...]" one character of a class ("[0-9]", "[a-z_]", "[!aeiou]" or "[^aeiou]") and "\" escapes the next character.
+// Either string can contain patterns. Characters a "*" covers are free, everything else costs the same as in leven.js,
+// so "542*-BL" is 0 from "5421-BL" and "54299-BL" and 1 (a substitution) from "5421-BR". Like a glob doesn't cross
+// "/", patterns don't match whitespace, so a "*" stays inside its word when comparing token strings.
+// transpositions and substitutionCosts aren't applied.
+
+var compare = require('./compare.js');
+
+var CHAR = 0, STAR = 1, ANY = 2, CLASS = 3;
+
+// glob syntax, everything in between is plain text
+var syntax = /\\(?:[\ud800-\udbff][\udc00-\udfff]|[\s\S])|\*|\?|\[[!^]?\]?[^\]]*\]/g;
+var codePoint = /[\ud800-\udbff][\udc00-\udfff]|[\s\S]/g;
+
+// [{glob: boolean, src: string}, ...] covering the whole string
+function segments(str) {
+    var parts = [];
+    var last = 0;
+    var match;
+    syntax.lastIndex = 0;
+    while ((match = syntax.exec(str)) !== null) {
+        if (match.index > last) parts.push({ glob: false, src: str.slice(last, match.index) });
+        parts.push({ glob: true, src: match[0] });
+        last = match.index + match[0].length;
+    }
+    if (last < str.length) parts.push({ glob: false, src: str.slice(last) });
+    return parts;
+}
+
+// whether str has any glob syntax, without it the usual distance gives the same result faster
+function isPattern(str) {
+    syntax.lastIndex = 0;
+    return syntax.test(str);
+}
+
+// [[lo, hi], ...] ranges of a class like "[!a-z_]"
+function classRanges(src) {
+    var chars = src.slice(1, -1).match(codePoint) || [];
+    var start = chars[0] === "!" || chars[0] === "^" ? 1 : 0;
+    var ranges = [];
+    for (var c = start; c < chars.length; c++) {
+        if (chars[c + 1] === "-" && c + 2 < chars.length) {
+            ranges.push([chars[c], chars[c + 2]]);
+            c += 2;
+        }
+        else ranges.push([chars[c], chars[c]]);
+    }
+    return ranges;
+}
+
+function token(src) {
+    if (src === "*") return { type: STAR, src: src };
+    if (src === "?") return { type: ANY, src: src };
+    if (src.charAt(0) === "\\") return { type: CHAR, ch: src.slice(1), src: src };
+    var negate = src.charAt(1) === "!" || src.charAt(1) === "^";
+    return { type: CLASS, src: src, negate: negate, ranges: classRanges(src) };
+}
+
+// tokens of str, plain text is split by _toArray if astral, code units otherwise
+function parse(str, options, _toArray) {
+    var parts = segments(str);
+    var tokens = [];
+    for (var p = 0; p < parts.length; p++) {
+        if (parts[p].glob) {
+            tokens.push(token(parts[p].src));
+            continue;
+        }
+        var chars = options && options.astral && _toArray ? _toArray(parts[p].src) : parts[p].src.split("");
+        for (var c = 0; c < chars.length; c++) tokens.push({ type: CHAR, ch: chars[c], src: chars[c] });
+    }
+    return tokens;
+}
+
+// number of characters a pattern stands for, "*" counts as none
+function count(tokens) {
+    var chars = 0;
+    for (var t = 0; t < tokens.length; t++) {
+        if (tokens[t].type !== STAR) chars++;
+    }
+    return chars;
+}
+
+function blank(t) {
+    return t.type === CHAR && /^\s$/.test(t.ch);
+}
+
+function inClass(cls, ch) {
+    var found = false;
+    for (var r = 0; r < cls.ranges.length && !found; r++) {
+        found = ch >= cls.ranges[r][0] && ch <= cls.ranges[r][1];
+    }
+    return found !== cls.negate;
+}
+
+// whether two non "*" tokens match, options.wildcards and useCollator apply to plain characters
+function matcher(options) {
+    var equal = compare.equality(options);
+    return function (x, y) {
+        if (x.type === CHAR && y.type === CHAR) return equal(x.ch, y.ch);
+        if (blank(x) || blank(y)) return false;
+        if (x.type === ANY || y.type === ANY) return true;
+        if (x.type === CLASS && y.type === CLASS) return x.src === y.src;
+        return x.type === CLASS ? inClass(x, y.ch) : inClass(y, x.ch);
+    };
+}
+
+function costs(options) {
+    return {
+        subcost: (options && options.subcost && typeof options.subcost === "number") ? options.subcost : 1,
+        inscost: (options && options.inscost && typeof options.inscost === "number") ? options.inscost : 1,
+        delcost: (options && options.delcost && typeof options.delcost === "number") ? options.delcost : 1
+    };
+}
+
+// one row of the table from the previous one, starts tracks where in b each cell's alignment began if given
+function nextRow(prev, prevStarts, a, btokens, cost, same, starts) {
+    var row = [prev[0] + (a.type === STAR ? 0 : cost.delcost)];
+    if (starts) starts[0] = prevStarts[0];
+    for (var j = 1; j <= btokens.length; j++) {
+        var b = btokens[j - 1];
+        var best = Infinity, from;
+        if (a.type !== STAR && b.type !== STAR) {
+            best = prev[j - 1] + (same(a, b) ? 0 : cost.subcost);
+            from = prevStarts && prevStarts[j - 1];
+        }
+        // a "*" is free to match nothing, or to cover a character on the other side
+        var del = prev[j] + (a.type === STAR || (b.type === STAR && !blank(a)) ? 0 : cost.delcost);
+        if (del < best) {
+            best = del;
+            from = prevStarts && prevStarts[j];
+        }
+        var ins = row[j - 1] + (b.type === STAR || (a.type === STAR && !blank(b)) ? 0 : cost.inscost);
+        if (ins < best) {
+            best = ins;
+            from = starts && starts[j - 1];
+        }
+        row[j] = best;
+        if (starts) starts[j] = from;
+    }
+    return row;
+}
+
+// distance between two parsed patterns
+function distance(atokens, btokens, options) {
+    var cost = costs(options);
+    var same = matcher(options);
+    var maxDistance = (options && typeof options.maxDistance === "number") ? options.maxDistance : Infinity;
+    var row = [0];
+    for (var j = 1; j <= btokens.length; j++) row[j] = row[j - 1] + (btokens[j - 1].type === STAR ? 0 : cost.inscost);
+    for (var i = 0; i < atokens.length; i++) {
+        row = nextRow(row, null, atokens[i], btokens, cost, same, null);
+        var rowMin = row[0];
+        for (j = 1; j < row.length; j++) if (row[j] < rowMin) rowMin = row[j];
+        if (rowMin > maxDistance) return maxDistance + 1;
+    }
+    return row[btokens.length];
+}
+
+// the part of hay that needle aligns with most cheaply, for partial_ratio
+function window(needle, hay, options) {
+    var cost = costs(options);
+    var same = matcher(options);
+    var row = [];
+    var starts = [];
+    for (var j = 0; j <= hay.length; j++) {
+        row[j] = 0; // starting anywhere in hay is free
+        starts[j] = j;
+    }
+    for (var i = 0; i < needle.length; i++) {
+        var nextStarts = [];
+        row = nextRow(row, starts, needle[i], hay, cost, same, nextStarts);
+        starts = nextStarts;
+    }
+    var end = 0;
+    for (j = 1; j <= hay.length; j++) {
+        if (row[j] < row[end]) end = j;
+    }
+    var src = "";
+    for (j = starts[end]; j < end; j++) src += hay[j].src;
+    return src;
+}
+
+// levenshtein distance with glob patterns, same arguments as iLeven
+module.exports = function globLeven(a, b, options, _toArray) {
+    return distance(parse(a, options, _toArray), parse(b, options, _toArray), options);
+};
+
+module.exports.isPattern = isPattern;
+module.exports.segments = segments;
+module.exports.parse = parse;
+module.exports.count = count;
+module.exports.distance = distance;
+module.exports.window = window;
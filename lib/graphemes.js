@@ -0,0 +1,29 @@
+// @ts-check
+// options.graphemes, split strings into extended grapheme clusters (what's seen as one character: emoji ZWJ
+// sequences, flags, letters with combining marks) with Intl.Segmenter, or _toArray's close approximation of them
+
+module.exports = function (_toArray) {
+    var module = {};
+
+    var segmenter = null;
+    try {
+        if (typeof Intl !== "undefined" && typeof Intl.Segmenter === "function") segmenter = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+    } catch (err) {
+        segmenter = null;
+    }
+
+    module.split = function graphemes(str) {
+        if (!segmenter) return _toArray(str);
+        var clusters = [];
+        var iterator = segmenter.segment(str)[Symbol.iterator]();
+        for (var next = iterator.next(); !next.done; next = iterator.next()) clusters.push(next.value.segment);
+        return clusters;
+    };
+
+    // what counts as one character when astral or graphemes is set
+    module.units = function (options) {
+        return options && options.graphemes ? module.split : _toArray;
+    };
+
+    return module;
+};
@@ -0,0 +1,79 @@
+// @ts-check
+// hungarian algorithm, the cheapest way to pair up rows and columns of a cost matrix (not necessarily square)
+// returns the column each row is paired with, -1 for rows left over when there are more rows than columns
+
+module.exports = function hungarian(cost) {
+    var rows = cost.length;
+    var cols = rows ? cost[0].length : 0;
+    var r, c;
+    if (rows === 0) return [];
+    if (cols === 0) {
+        var none = [];
+        for (r = 0; r < rows; r++) none.push(-1);
+        return none;
+    }
+    if (rows > cols) {
+        // pair the columns up instead then flip it round
+        var transposed = [];
+        for (c = 0; c < cols; c++) {
+            transposed[c] = [];
+            for (r = 0; r < rows; r++) transposed[c][r] = cost[r][c];
+        }
+        var byCol = hungarian(transposed);
+        var byRow = [];
+        for (r = 0; r < rows; r++) byRow[r] = -1;
+        for (c = 0; c < cols; c++) byRow[byCol[c]] = c;
+        return byRow;
+    }
+
+    // potentials u (rows) and v (columns), p[j] is the row paired with column j, all 1-indexed with 0 as a sentinel
+    var u = [], v = [], p = [], way = [];
+    var i, j;
+    for (i = 0; i <= rows; i++) u[i] = 0;
+    for (j = 0; j <= cols; j++) v[j] = p[j] = way[j] = 0;
+    for (i = 1; i <= rows; i++) {
+        p[0] = i;
+        var j0 = 0;
+        var minv = [], used = [];
+        for (j = 0; j <= cols; j++) {
+            minv[j] = Infinity;
+            used[j] = false;
+        }
+        do {
+            used[j0] = true;
+            var i0 = p[j0];
+            var delta = Infinity;
+            var j1 = 0;
+            for (j = 1; j <= cols; j++) {
+                if (used[j]) continue;
+                var cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+                if (cur < minv[j]) {
+                    minv[j] = cur;
+                    way[j] = j0;
+                }
+                if (minv[j] < delta) {
+                    delta = minv[j];
+                    j1 = j;
+                }
+            }
+            for (j = 0; j <= cols; j++) {
+                if (used[j]) {
+                    u[p[j]] += delta;
+                    v[j] -= delta;
+                }
+                else minv[j] -= delta;
+            }
+            j0 = j1;
+        } while (p[j0] !== 0);
+        do {
+            var prev = way[j0];
+            p[j0] = p[prev];
+            j0 = prev;
+        } while (j0);
+    }
+    var assignment = [];
+    for (j = 1; j <= cols; j++) {
+        if (p[j]) assignment[p[j] - 1] = j - 1;
+    }
+    return assignment;
+};
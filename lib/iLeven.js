@@ -1,5 +1,7 @@
 // @ts-check
-// levenshtein distance with astral support
+// levenshtein distance with astral support, _toArray (or the grapheme splitter for options.graphemes) decides
+// what counts as one character. Characters are compared by their first code point, with options.graphemes as whole
+// strings so "é" made of two code points only matches itself
 
 // @ts-ignore
 require('string.prototype.codepointat');
@@ -7,24 +9,33 @@ require('string.prototype.codepointat');
 require('string.fromcodepoint');
 /** from https://github.com/hiddentao/fast-levenshtein slightly modified to double weight replacements as done by python-Levenshtein/fuzzywuzzy */
 
-var collator;
-try {
-    collator = (typeof Intl !== "undefined" && typeof Intl.Collator !== "undefined") ? Intl.Collator("generic", { sensitivity: "base" }) : null;
-} catch (err) {
-    if (typeof console !== undefined) console.warn("Collator could not be initialized and wouldn't be used");
-}
+var collators = require('./collator.js');
 
-module.exports = function leven(a, b, options, _toArray) {
+// wildcard position in the keys compared below, can't equal a character or a collation class ID
+var WILD = -1;
 
+function keys(chars, options) {
+    if (options && options.graphemes) return chars.slice();
+    var codes = [];
+    for (var c = 0; c < chars.length; c++) codes[c] = chars[c].codePointAt(0);
+    return codes;
+}
 
+module.exports = function leven(a, b, options, _toArray, _damerau) {
 
     /** from https://github.com/sindresorhus/leven slightly modified to double weight replacements as done by python-Levenshtein/fuzzywuzzy */
     var arr = [];
-    var charCodeCache = [];
-    var useCollator = (options && collator && options.useCollator);
+    var useCollator = !!collators.get(options);
+    var classId = collators.classifier(options);
     var subcost = 1;
     //to match behavior of python-Levenshtein and fuzzywuzzy, set to 2 in _ratio
     if (options && options.subcost && typeof options.subcost === "number") subcost = options.subcost;
+    // inscost, delcost, transpositions and substitutionCosts need lib/damerau.js, only passed in by the full build
+    var inscost = (_damerau && options && options.inscost && typeof options.inscost === "number") ? options.inscost : 1;
+    var delcost = (_damerau && options && options.delcost && typeof options.delcost === "number") ? options.delcost : 1;
+    // return maxDistance + 1 as soon as it's known the distance will be over it
+    var maxDistance = (options && typeof options.maxDistance === "number") ? options.maxDistance : Infinity;
+    var rowMin;
 
     if (a === b) {
         return 0;
@@ -34,49 +45,64 @@ module.exports = function leven(a, b, options, _toArray) {
     var aLen = achars.length;
     var bLen = bchars.length;
 
+    // any of the characters in options.wildcards match anything, full_process is always off with astral so no lowercasing
+    var wild = null;
+    if (options && options.wildcards && typeof options.wildcards === "string") {
+        wild = {};
+        var wildchars = _toArray(options.wildcards);
+        for (var w = 0; w < wildchars.length; w++) wild[wildchars[w]] = true;
+    }
+    function same(x, y) {
+        return x === y || (wild !== null && (wild[x] === true || wild[y] === true)) || (classId !== null && classId(x) === classId(y));
+    }
+
+    // these check the lengths themselves, substitutionCosts can also cover a length difference, e.g. "rn" for "m"
+    if (_damerau && options && (options.transpositions || inscost !== 1 || delcost !== 1 || options.substitutionCosts)) {
+        return _damerau(achars, bchars, options, same);
+    }
+
+    if ((aLen > bLen ? (aLen - bLen) * delcost : (bLen - aLen) * inscost) > maxDistance) {
+        return maxDistance + 1;
+    }
+
     if (aLen === 0) {
-        return bLen;
+        return bLen * inscost;
     }
 
     if (bLen === 0) {
-        return aLen;
+        return aLen * delcost;
     }
 
-    var bCharCode;
+    var bKey;
     var ret;
     var tmp;
     var tmp2;
     var i = 0;
     var j = 0;
+    // first code points, whole characters with graphemes or their collation class IDs with the collator, wildcards become WILD
+    var akeys = useCollator ? collators.classIds(options, achars) : keys(achars, options);
+    var bkeys = useCollator ? collators.classIds(options, bchars) : keys(bchars, options);
+    if (wild !== null) {
+        for (i = 0; i < aLen; i++) if (wild[achars[i]] === true) akeys[i] = WILD;
+        for (j = 0; j < bLen; j++) if (wild[bchars[j]] === true) bkeys[j] = WILD;
+        i = j = 0;
+    }
 
     while (i < aLen) {
-        charCodeCache[i] = achars[i].codePointAt(0);
         arr[i] = ++i;
     }
-    if (!useCollator) {  //checking for collator inside while 2x slower
-        while (j < bLen) {
-            bCharCode = bchars[j].codePointAt(0);
-            tmp = j++;
-            ret = j;
-            for (i = 0; i < aLen; i++) {
-                tmp2 = bCharCode === charCodeCache[i] ? tmp : tmp + subcost;
-                tmp = arr[i];
-                ret = arr[i] = tmp > ret ? tmp2 > ret ? ret + 1 : tmp2 : tmp2 > tmp ? tmp + 1 : tmp2;
-            }
+    while (j < bLen) {
+        bKey = bkeys[j];
+        tmp = j++;
+        ret = j;
+        rowMin = ret;
+        for (i = 0; i < aLen; i++) {
+            tmp2 = bKey === akeys[i] || bKey === WILD || akeys[i] === WILD ? tmp : tmp + subcost;
+            tmp = arr[i];
+            ret = arr[i] = tmp > ret ? tmp2 > ret ? ret + 1 : tmp2 : tmp2 > tmp ? tmp + 1 : tmp2;
+            if (ret < rowMin) rowMin = ret;
         }
+        if (rowMin > maxDistance) return maxDistance + 1;
     }
-    else {
-        while (j < bLen) {
-            bCharCode = bchars[j].codePointAt(0);
-            tmp = j++;
-            ret = j;
-
-            for (i = 0; i < aLen; i++) {
-                tmp2 = 0 === collator.compare(String.fromCodePoint(bCharCode), String.fromCodePoint(charCodeCache[i])) ? tmp : tmp + subcost;
-                tmp = arr[i];
-                ret = arr[i] = tmp > ret ? tmp2 > ret ? ret + 1 : tmp2 : tmp2 > tmp ? tmp + 1 : tmp2;
-            }
-        }
-    }
-    return ret;
-}
\ No newline at end of file
+    return ret > maxDistance ? maxDistance + 1 : ret;
+}
@@ -0,0 +1,42 @@
+// @ts-check
+// inverse document frequency of tokens across a set of choices, for idf_token_set_ratio
+// a table is {count: number of choices, df: {token: number of choices it's in}}, plain data so it can go to workers or be saved
+
+var hasOwn = Object.prototype.hasOwnProperty;
+
+// table from a list of token arrays, one per choice, tokens in each should already be unique
+function table(token_lists) {
+    var df = Object.create(null);
+    for (var i = 0; i < token_lists.length; i++) {
+        var tokens = token_lists[i] || [];
+        for (var t = 0; t < tokens.length; t++) {
+            df[tokens[t]] = hasOwn.call(df, tokens[t]) ? df[tokens[t]] + 1 : 1;
+        }
+    }
+    return { count: token_lists.length, df: df };
+}
+
+// smoothed idf, 1 for a token in every choice up to 1 + ln(count + 1) for one in none of them
+// without a table every token weighs 1
+function weight(idf, token) {
+    if (!idf) return 1;
+    var df = idf.df && hasOwn.call(idf.df, token) ? idf.df[token] : 0;
+    return Math.log((1 + idf.count) / (1 + df)) + 1;
+}
+
+function total(idf, tokens) {
+    var sum = 0;
+    for (var t = 0; t < tokens.length; t++) sum += weight(idf, tokens[t]);
+    return sum;
+}
+
+function valid(idf) {
+    return !!idf && typeof idf === "object" && typeof idf.count === "number" && !!idf.df && typeof idf.df === "object";
+}
+
+module.exports = {
+    table: table,
+    weight: weight,
+    total: total,
+    valid: valid
+};
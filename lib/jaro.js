@@ -0,0 +1,59 @@
+// @ts-check
+// jaro and jaro-winkler similarity, 0-1
+
+var compare = require('./compare.js');
+var chars = compare.chars;
+var equality = compare.equality;
+
+function jaro(a, b, options, _toArray) {
+    var achars = chars(a, options, _toArray);
+    var bchars = chars(b, options, _toArray);
+    var aLen = achars.length;
+    var bLen = bchars.length;
+    if (aLen === 0 || bLen === 0) return 0;
+    var equal = equality(options);
+    // characters only count as matching if they're no further apart than this
+    var range = Math.max(0, Math.floor(Math.max(aLen, bLen) / 2) - 1);
+    var aMatched = [];
+    var bMatched = [];
+    var matches = 0;
+    var i, j;
+    for (i = 0; i < aLen; i++) {
+        var end = Math.min(i + range + 1, bLen);
+        for (j = Math.max(0, i - range); j < end; j++) {
+            if (!bMatched[j] && equal(achars[i], bchars[j])) {
+                aMatched[i] = bMatched[j] = true;
+                matches++;
+                break;
+            }
+        }
+    }
+    if (matches === 0) return 0;
+    var transpositions = 0;
+    j = 0;
+    for (i = 0; i < aLen; i++) {
+        if (!aMatched[i]) continue;
+        while (!bMatched[j]) j++;
+        if (!equal(achars[i], bchars[j])) transpositions++;
+        j++;
+    }
+    return (matches / aLen + matches / bLen + (matches - transpositions / 2) / matches) / 3;
+}
+
+// boosts the jaro similarity of strings above 0.7 by how many of their first 4 characters are the same
+function jaro_winkler(a, b, options, _toArray) {
+    var sim = jaro(a, b, options, _toArray);
+    if (sim <= 0.7) return sim;
+    var achars = chars(a, options, _toArray);
+    var bchars = chars(b, options, _toArray);
+    var equal = equality(options);
+    var prefix = 0;
+    var max = Math.min(4, achars.length, bchars.length);
+    while (prefix < max && equal(achars[prefix], bchars[prefix])) prefix++;
+    return sim + prefix * 0.1 * (1 - sim);
+}
+
+module.exports = {
+    jaro: jaro,
+    jaro_winkler: jaro_winkler
+};
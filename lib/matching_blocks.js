@@ -0,0 +1,58 @@
+// @ts-check
+// difflib's SequenceMatcher.get_matching_blocks with an equality function instead of hashing, so wildcards
+// (and the collator) can match. Same recursive longest match and tie breaking, no junk or autojunk heuristic.
+
+// longest [i, j, size] with a[i..i+size) equal to b[j..j+size), earliest in a then earliest in b
+function longest_match(a, b, equal, alo, ahi, blo, bhi) {
+    var besti = alo, bestj = blo, bestsize = 0;
+    var prev = [];
+    for (var i = alo; i < ahi; i++) {
+        var cur = [];
+        for (var j = blo; j < bhi; j++) {
+            if (!equal(a[i], b[j])) continue;
+            var k = cur[j] = (j > blo && prev[j - 1] ? prev[j - 1] : 0) + 1;
+            if (k > bestsize) {
+                besti = i - k + 1;
+                bestj = j - k + 1;
+                bestsize = k;
+            }
+        }
+        prev = cur;
+    }
+    return [besti, bestj, bestsize];
+}
+
+// [[i, j, size], ...] ending with [a.length, b.length, 0], same as difflib
+module.exports = function matching_blocks(a, b, equal) {
+    var queue = [[0, a.length, 0, b.length]];
+    var blocks = [];
+    while (queue.length) {
+        var range = queue.pop();
+        var alo = range[0], ahi = range[1], blo = range[2], bhi = range[3];
+        var match = longest_match(a, b, equal, alo, ahi, blo, bhi);
+        var i = match[0], j = match[1], k = match[2];
+        if (k) {
+            blocks.push(match);
+            if (alo < i && blo < j) queue.push([alo, i, blo, j]);
+            if (i + k < ahi && j + k < bhi) queue.push([i + k, ahi, j + k, bhi]);
+        }
+    }
+    blocks.sort(function (x, y) { return x[0] - y[0] || x[1] - y[1]; });
+
+    // merge adjacent blocks
+    var merged = [];
+    var i1 = 0, j1 = 0, k1 = 0;
+    for (var n = 0; n < blocks.length; n++) {
+        var i2 = blocks[n][0], j2 = blocks[n][1], k2 = blocks[n][2];
+        if (i1 + k1 === i2 && j1 + k1 === j2) k1 += k2;
+        else {
+            if (k1) merged.push([i1, j1, k1]);
+            i1 = i2;
+            j1 = j2;
+            k1 = k2;
+        }
+    }
+    if (k1) merged.push([i1, j1, k1]);
+    merged.push([a.length, b.length, 0]);
+    return merged;
+};
@@ -0,0 +1,232 @@
+var run_shard = require('./parallel_shard.js');
+
+module.exports = function (extract, Heap, _isArray, _keys, _abortError, _isBuiltinRatio, _idf_table, scorers) {
+
+    // hidden from browserify so it doesn't try to bundle worker_threads
+    var _require = typeof require === "function" ? require : null;
+
+    function _worker_threads() {
+        if (!_require || typeof process === "undefined" || !process.versions || !process.versions.node) return null;
+        try {
+            return _require("worker_threads");
+        }
+        catch (err) {
+            return null;
+        }
+    }
+
+    function _default_workers() {
+        if (typeof navigator !== "undefined" && navigator.hardwareConcurrency) return navigator.hardwareConcurrency;
+        try {
+            return _require("os").cpus().length;
+        }
+        catch (err) {
+            return 2;
+        }
+    }
+
+    // names are looked up on fuzzball in the workers, so the default has to be one too, the same function extract defaults to
+    function _scorer_name(scorer) {
+        if (!scorer) scorer = scorers.ratio;
+        if (typeof scorer === "string") return scorers[scorer] ? scorer : null;
+        for (var name in scorers) {
+            if (scorers[name] === scorer) return name;
+        }
+        return null;
+    }
+
+    // wraps a worker_threads Worker or a Web Worker in the same small interface
+    function _spawn(worker_threads, options) {
+        var worker;
+        if (worker_threads) {
+            worker = new worker_threads.Worker(__dirname + "/parallel_worker.js");
+            return {
+                run: function (data, callback) {
+                    var settled = false;
+                    function finish(err, msg) {
+                        if (settled) return;
+                        settled = true;
+                        callback(err, msg);
+                    }
+                    worker.once("message", function (msg) { finish(null, msg); });
+                    worker.once("error", finish);
+                    // e.g. out of memory, "error" isn't emitted for every way a worker can stop
+                    worker.once("exit", function (code) {
+                        finish(new Error("Worker stopped with exit code " + code + " before sending its results"));
+                    });
+                    worker.postMessage(data);
+                },
+                terminate: function () { worker.terminate(); }
+            };
+        }
+        var source = "importScripts(" + JSON.stringify(options.fuzzballUrl) + ");\n" +
+            "var run_shard = " + run_shard.toString() + ";\n" +
+            "self.onmessage = function (e) { self.postMessage(run_shard(fuzzball, e.data)); };";
+        var url = URL.createObjectURL(new Blob([source], { type: "application/javascript" }));
+        worker = new Worker(url);
+        return {
+            run: function (data, callback) {
+                worker.onmessage = function (e) { callback(null, e.data); };
+                worker.onerror = function (e) { callback(new Error(e.message)); };
+                worker.postMessage(data);
+            },
+            terminate: function () {
+                worker.terminate();
+                URL.revokeObjectURL(url);
+            }
+        };
+    }
+
+    function extractParallel(query, choices, options_p) {
+        /**
+         * Same as extract but scores shards of the choices in worker_threads (node) or Web Workers (browser).
+         * Only fuzzball's own scorers can be used, as functions can't be sent to a worker.
+         * The processor is run on the main thread. New workers are started for every call and each loads its own
+         * copy of fuzzball, which takes a while, so this only pays off when scoring the choices takes a lot longer.
+         *
+         * @function extractParallel
+         * @param query - the search term.
+         * @param {String[]|Object[]|Object} choices - array of strings, or array of choice objects if processor is supplied, or object of form {key: choice}
+         * @param {Object} [options_p] - Additional options, same as extract plus the below.
+         * @param {function|string} [options_p.scorer] - one of fuzzball's scorers, or its name e.g. "token_set_ratio"
+         * @param {number} [options_p.workers] - number of workers to shard the choices across, default number of cpus
+         * @param {AbortSignal} [options_p.signal] - terminate the workers and reject with an AbortError once aborted
+         * @param {string} [options_p.fuzzballUrl] - browser only, url of fuzzball.umd.min.js for the workers to load
+         * @returns {Promise} - resolves to the same array of results as extract
+         */
+        var options = options_p || {};
+        return new Promise(function (resolve, reject) {
+            if (options.signal && options.signal.aborted) {
+                reject(_abortError(options.signal));
+                return;
+            }
+            var scorer = _scorer_name(options.scorer);
+            if (!scorer) {
+                reject(new Error("extractParallel only supports fuzzball's scorers"));
+                return;
+            }
+            if (options.ratio_alg && !_isBuiltinRatio(options.ratio_alg)) {
+                reject(new Error("extractParallel only supports built in ratio_alg, registered ones aren't available in the workers"));
+                return;
+            }
+            if (typeof options.tokenizer === "function") {
+                reject(new Error("extractParallel only supports built in tokenizers, functions can't be sent to the workers"));
+                return;
+            }
+            if (options.processor && typeof options.processor !== "function") {
+                reject(new Error("Invalid Processor"));
+                return;
+            }
+            var keys;
+            if (_isArray(choices)) keys = null;
+            else if (choices instanceof Object) keys = _keys(choices);
+            else {
+                reject(new Error("Invalid choices"));
+                return;
+            }
+            var numchoices = keys ? keys.length : choices.length;
+            var worker_threads = _worker_threads();
+            var has_workers = worker_threads || (typeof Worker !== "undefined" && options.fuzzballUrl);
+            if (!has_workers || numchoices === 0) {
+                if (!has_workers && typeof console !== undefined) console.warn("Workers not available, running extract on the main thread");
+                var sync_options = {};
+                for (var opt in options) sync_options[opt] = options[opt];
+                sync_options.scorer = scorers[scorer];
+                try {
+                    resolve(extract(query, choices, sync_options));
+                }
+                catch (err) {
+                    reject(err);
+                }
+                return;
+            }
+
+            var shard_options = {};
+            for (var opt in options) {
+                if (typeof options[opt] !== "function" && opt !== "workers" && opt !== "fuzzballUrl" && opt !== "processor" && opt !== "scorer" && opt !== "signal") {
+                    shard_options[opt] = options[opt];
+                }
+            }
+            shard_options.returnObjects = false;
+            var processor = options.processor || function (x) { return x; };
+            var numworkers = Math.max(1, Math.min(options.workers || _default_workers(), numchoices));
+            var shard_size = Math.ceil(numchoices / numworkers);
+            var shard_results = [];
+            var workers = [];
+            var pending = 0;
+            var failed = false;
+
+            function onAbort() {
+                if (failed) return;
+                failed = true;
+                done(_abortError(options.signal));
+            }
+            if (options.signal && options.signal.addEventListener) options.signal.addEventListener("abort", onAbort);
+
+            function done(err) {
+                if (options.signal && options.signal.removeEventListener) options.signal.removeEventListener("abort", onAbort);
+                for (var w = 0; w < workers.length; w++) workers[w].terminate();
+                if (err) return reject(err);
+                var results = [];
+                for (var s = 0; s < shard_results.length; s++) {
+                    var start = s * shard_size;
+                    for (var r = 0; r < shard_results[s].length; r++) {
+                        var key = keys ? keys[start + shard_results[s][r][2]] : start + shard_results[s][r][2];
+                        var score = shard_results[s][r][1];
+                        if (options.returnObjects) results.push({choice: choices[key], score: score, key: key});
+                        else results.push([choices[key], score, key]);
+                    }
+                }
+                var cmpHeap, cmpSort;
+                if (options.returnObjects) {
+                    cmpHeap = function (a, b) { return a.score - b.score; };
+                    cmpSort = function (a, b) { return b.score - a.score; };
+                }
+                else {
+                    cmpHeap = function (a, b) { return a[1] - b[1]; };
+                    cmpSort = function (a, b) { return b[1] - a[1]; };
+                }
+                if (options.limit && typeof options.limit === "number" && options.limit > 0 && options.limit < numchoices && !options.unsorted) {
+                    results = Heap.nlargest(results, options.limit, cmpHeap);
+                }
+                else if (!options.unsorted) {
+                    results = results.sort(cmpSort);
+                }
+                resolve(results);
+            }
+
+            try {
+                // each shard only sees its own choices, so learn the token frequencies from all of them here
+                if (scorer === "idf_token_set_ratio" && !options.idf) shard_options.idf = _idf_table(choices, options);
+                for (var s = 0; s * shard_size < numchoices; s++) {
+                    var shard = [];
+                    for (var i = s * shard_size; i < Math.min((s + 1) * shard_size, numchoices); i++) {
+                        shard.push(processor(keys ? choices[keys[i]] : choices[i]));
+                    }
+                    workers.push(_spawn(worker_threads, options));
+                    pending++;
+                    (function (s) {
+                        workers[s].run({query: query, choices: shard, options: shard_options, scorer: scorer}, function (err, msg) {
+                            if (failed) return;
+                            if (!err && msg.error) err = new Error(msg.error);
+                            if (err) {
+                                failed = true;
+                                return done(err);
+                            }
+                            shard_results[s] = msg.results;
+                            if (--pending === 0) done();
+                        });
+                    })(s);
+                }
+            }
+            catch (err) {
+                failed = true;
+                done(err);
+            }
+        });
+    }
+
+    return {
+        extractParallel: extractParallel
+    };
+};
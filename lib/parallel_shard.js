@@ -0,0 +1,12 @@
+// scores one shard of choices for extractParallel, runs inside the worker
+// needs to stay self contained, it gets stringified into the web worker source in the browser
+module.exports = function run_shard(fuzz, data) {
+    var options = data.options;
+    options.scorer = fuzz[data.scorer];
+    try {
+        return { results: fuzz.extract(data.query, data.choices, options) };
+    }
+    catch (err) {
+        return { error: err.message };
+    }
+}
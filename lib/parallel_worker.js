@@ -0,0 +1,8 @@
+// worker_threads entry point for extractParallel in node
+var parentPort = require('worker_threads').parentPort;
+var fuzz = require('../fuzzball.js');
+var run_shard = require('./parallel_shard.js');
+
+parentPort.on('message', function (data) {
+    parentPort.postMessage(run_shard(fuzz, data));
+});
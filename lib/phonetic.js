@@ -0,0 +1,650 @@
+// @ts-check
+// phonetic encodings of single words, so names that sound alike ("smith", "smyth") get the same code
+
+var VOWELS = "AEIOU";
+
+function isVowel(c) {
+    return !!c && VOWELS.indexOf(c) !== -1;
+}
+
+// uppercase A-Z only, accents dropped, keeping Ç and Ñ if asked since double metaphone has rules for them
+function letters(word, keepCedilla) {
+    var str = String(word).toUpperCase();
+    if (String.prototype.normalize) {
+        str = str.normalize("NFD");
+        if (keepCedilla) str = str.replace(/C\u0327/g, "\u00c7").replace(/N\u0303/g, "\u00d1");
+        str = str.replace(/[\u0300-\u036f]/g, "");
+    }
+    return str.replace(keepCedilla ? /[^A-Z\u00c7\u00d1]/g : /[^A-Z]/g, "");
+}
+
+var SOUNDEX_CODES = {
+    B: "1", F: "1", P: "1", V: "1",
+    C: "2", G: "2", J: "2", K: "2", Q: "2", S: "2", X: "2", Z: "2",
+    D: "3", T: "3",
+    L: "4",
+    M: "5", N: "5",
+    R: "6"
+};
+
+function soundex(word) {
+    var s = letters(word);
+    if (!s) return "";
+    var code = s[0];
+    var last = SOUNDEX_CODES[s[0]] || "";
+    for (var i = 1; i < s.length && code.length < 4; i++) {
+        var digit = SOUNDEX_CODES[s[i]];
+        if (digit) {
+            if (digit !== last) code += digit;
+            last = digit;
+        }
+        // vowels separate letters with the same code, h and w don't
+        else if (s[i] !== "H" && s[i] !== "W") last = "";
+    }
+    return (code + "000").slice(0, 4);
+}
+
+function nysiis(word) {
+    var s = letters(word);
+    if (!s) return "";
+    s = s.replace(/^MAC/, "MCC").replace(/^KN/, "NN").replace(/^K/, "C").replace(/^(PH|PF)/, "FF").replace(/^SCH/, "SSS");
+    s = s.replace(/(EE|IE)$/, "Y").replace(/(DT|RT|RD|NT|ND)$/, "D");
+    var chars = s.split("");
+    var key = chars[0];
+    for (var i = 1; i < chars.length; i++) {
+        var c = chars[i];
+        if (c === "E" && chars[i + 1] === "V") {
+            chars[i] = "A";
+            chars[i + 1] = "F";
+        }
+        else if (isVowel(c)) chars[i] = "A";
+        else if (c === "Q") chars[i] = "G";
+        else if (c === "Z") chars[i] = "S";
+        else if (c === "M") chars[i] = "N";
+        else if (c === "K") chars[i] = chars[i + 1] === "N" ? "N" : "C";
+        else if (c === "S" && chars[i + 1] === "C" && chars[i + 2] === "H") chars[i] = chars[i + 1] = chars[i + 2] = "S";
+        else if (c === "P" && chars[i + 1] === "H") chars[i] = chars[i + 1] = "F";
+        else if (c === "H" && (!isVowel(chars[i - 1]) || !isVowel(chars[i + 1]))) chars[i] = chars[i - 1];
+        else if (c === "W" && isVowel(chars[i - 1])) chars[i] = chars[i - 1];
+        if (chars[i] !== key[key.length - 1]) key += chars[i];
+    }
+    if (key.length > 1) key = key.replace(/S$/, "");
+    if (key.length > 1) key = key.replace(/AY$/, "Y");
+    if (key.length > 1) key = key.replace(/A$/, "");
+    return key.slice(0, 6);
+}
+
+// original metaphone, "0" is used for "th"
+function metaphone(word) {
+    var s = letters(word);
+    if (!s) return "";
+    if (/^(AE|GN|KN|PN|WR)/.test(s)) s = s.slice(1);
+    if (s[0] === "X") s = "S" + s.slice(1);
+    else if (s.slice(0, 2) === "WH") s = "W" + s.slice(2);
+    var code = "";
+    for (var i = 0; i < s.length; i++) {
+        var c = s[i];
+        var prev = s[i - 1] || "";
+        var next = s[i + 1] || "";
+        var after = s[i + 2] || "";
+        if (c === prev && c !== "C") continue;
+        switch (c) {
+            case "A": case "E": case "I": case "O": case "U":
+                if (i === 0) code += c;
+                break;
+            case "B":
+                if (!(prev === "M" && i === s.length - 1)) code += "B";
+                break;
+            case "C":
+                if (next === "I" && after === "A") code += "X";
+                else if (next === "H") code += prev === "S" ? "K" : "X";
+                else if (next === "I" || next === "E" || next === "Y") {
+                    if (prev !== "S") code += "S";
+                }
+                else code += "K";
+                break;
+            case "D":
+                if (next === "G" && (after === "E" || after === "Y" || after === "I")) code += "J";
+                else code += "T";
+                break;
+            case "G":
+                if (next === "H" && !(i + 2 >= s.length || isVowel(after))) break;
+                if (next === "N" && (i + 2 === s.length || s.slice(i + 1) === "NED")) break;
+                if (prev === "D" && (next === "E" || next === "I" || next === "Y")) break;
+                if ((next === "I" || next === "E" || next === "Y") && prev !== "G") code += "J";
+                else code += "K";
+                break;
+            case "H":
+                if (isVowel(next) && "CGPST".indexOf(prev) === -1) code += "H";
+                break;
+            case "K":
+                if (prev !== "C") code += "K";
+                break;
+            case "P":
+                code += next === "H" ? "F" : "P";
+                break;
+            case "Q":
+                code += "K";
+                break;
+            case "S":
+                if (next === "H" || (next === "I" && (after === "O" || after === "A"))) code += "X";
+                else code += "S";
+                break;
+            case "T":
+                if (next === "I" && (after === "O" || after === "A")) code += "X";
+                else if (next === "H") code += "0";
+                else if (!(next === "C" && after === "H")) code += "T";
+                break;
+            case "V":
+                code += "F";
+                break;
+            case "W": case "Y":
+                if (isVowel(next)) code += c;
+                break;
+            case "X":
+                code += "KS";
+                break;
+            case "Z":
+                code += "S";
+                break;
+            default:
+                code += c;
+        }
+    }
+    return code;
+}
+
+// Lawrence Philips' double metaphone, [primary, alternate] codes of up to 4 characters
+function double_metaphone(word) {
+    var value = letters(word, true);
+    var length = value.length;
+    var last = length - 1;
+    var primary = "";
+    var secondary = "";
+    var current = 0;
+    if (!length) return ["", ""];
+    value += "     "; // so looking ahead past the end is safe
+    var slavoGermanic = /W|K|CZ|WITZ/.test(value);
+    var germanic = stringAt(0, "VAN ", "VON ") || stringAt(0, "SCH");
+
+    function at(pos) {
+        return pos < 0 ? "" : value.charAt(pos);
+    }
+
+    function stringAt(start) {
+        if (start < 0) return false;
+        for (var a = 1; a < arguments.length; a++) {
+            if (value.substr(start, arguments[a].length) === arguments[a]) return true;
+        }
+        return false;
+    }
+
+    function vowelAt(pos) {
+        return pos >= 0 && "AEIOUY".indexOf(value.charAt(pos)) !== -1;
+    }
+
+    function add(main, alt) {
+        if (typeof alt === "undefined") alt = main;
+        primary += main;
+        if (alt !== " ") secondary += alt;
+    }
+
+    if (stringAt(0, "GN", "KN", "PN", "WR", "PS")) current += 1;
+    if (value[0] === "X") {
+        add("S");
+        current += 1;
+    }
+
+    while (current < length && (primary.length < 4 || secondary.length < 4)) {
+        switch (value[current]) {
+            case "A": case "E": case "I": case "O": case "U": case "Y":
+                if (current === 0) add("A");
+                current += 1;
+                break;
+            case "B":
+                add("P");
+                current += at(current + 1) === "B" ? 2 : 1;
+                break;
+            case "\u00c7": // Ç
+                add("S");
+                current += 1;
+                break;
+            case "C":
+                // germanic "ach", but not "bacher" or "macher"
+                if (current > 1 && !vowelAt(current - 2) && stringAt(current - 1, "ACH") &&
+                    at(current + 2) !== "I" && (at(current + 2) !== "E" || stringAt(current - 2, "BACHER", "MACHER"))) {
+                    add("K");
+                    current += 2;
+                    break;
+                }
+                if (current === 0 && stringAt(current, "CAESAR")) {
+                    add("S");
+                    current += 2;
+                    break;
+                }
+                if (stringAt(current, "CHIA")) {
+                    add("K");
+                    current += 2;
+                    break;
+                }
+                if (stringAt(current, "CH")) {
+                    if (current > 0 && stringAt(current, "CHAE")) {
+                        add("K", "X");
+                        current += 2;
+                        break;
+                    }
+                    // greek roots, "chemistry", "chorus"
+                    if (current === 0 && (stringAt(current + 1, "HARAC", "HARIS") || stringAt(current + 1, "HOR", "HYM", "HIA", "HEM")) &&
+                        !stringAt(0, "CHORE")) {
+                        add("K");
+                        current += 2;
+                        break;
+                    }
+                    if (germanic || stringAt(current - 2, "ORCHES", "ARCHIT", "ORCHID") || stringAt(current + 2, "T", "S") ||
+                        ((stringAt(current - 1, "A", "O", "U", "E") || current === 0) &&
+                            stringAt(current + 2, "L", "R", "N", "M", "B", "H", "F", "V", "W", " "))) {
+                        add("K");
+                    }
+                    else if (current > 0) {
+                        if (stringAt(0, "MC")) add("K");
+                        else add("X", "K");
+                    }
+                    else add("X");
+                    current += 2;
+                    break;
+                }
+                // "czerny"
+                if (stringAt(current, "CZ") && !stringAt(current - 2, "WICZ")) {
+                    add("S", "X");
+                    current += 2;
+                    break;
+                }
+                // "focaccia"
+                if (stringAt(current + 1, "CIA")) {
+                    add("X");
+                    current += 3;
+                    break;
+                }
+                // double c, but not "mcclellan"
+                if (stringAt(current, "CC") && !(current === 1 && value[0] === "M")) {
+                    // "bellocchio" but not "bacchus"
+                    if (stringAt(current + 2, "I", "E", "H") && !stringAt(current + 2, "HU")) {
+                        // "accident", "accede", "succeed"
+                        if ((current === 1 && value[0] === "A") || stringAt(current - 1, "UCCEE", "UCCES")) add("KS");
+                        else add("X");
+                        current += 3;
+                        break;
+                    }
+                    add("K");
+                    current += 2;
+                    break;
+                }
+                if (stringAt(current, "CK", "CG", "CQ")) {
+                    add("K");
+                    current += 2;
+                    break;
+                }
+                if (stringAt(current, "CI", "CE", "CY")) {
+                    if (stringAt(current, "CIO", "CIE", "CIA")) add("S", "X");
+                    else add("S");
+                    current += 2;
+                    break;
+                }
+                add("K");
+                if (stringAt(current + 1, " C", " Q", " G")) current += 3;
+                else if (stringAt(current + 1, "C", "K", "Q") && !stringAt(current + 1, "CE", "CI")) current += 2;
+                else current += 1;
+                break;
+            case "D":
+                if (stringAt(current, "DG")) {
+                    // "edge"
+                    if (stringAt(current + 2, "I", "E", "Y")) {
+                        add("J");
+                        current += 3;
+                    }
+                    // "edgar"
+                    else {
+                        add("TK");
+                        current += 2;
+                    }
+                    break;
+                }
+                add("T");
+                current += stringAt(current, "DT", "DD") ? 2 : 1;
+                break;
+            case "F":
+                add("F");
+                current += at(current + 1) === "F" ? 2 : 1;
+                break;
+            case "G":
+                if (at(current + 1) === "H") {
+                    if (current > 0 && !vowelAt(current - 1)) {
+                        add("K");
+                        current += 2;
+                        break;
+                    }
+                    // "ghislane", "ghiradelli"
+                    if (current === 0) {
+                        add(at(current + 2) === "I" ? "J" : "K");
+                        current += 2;
+                        break;
+                    }
+                    // Parker's rule, "hugh", "bough", "broughton"
+                    if ((current > 1 && stringAt(current - 2, "B", "H", "D")) ||
+                        (current > 2 && stringAt(current - 3, "B", "H", "D")) ||
+                        (current > 3 && stringAt(current - 4, "B", "H"))) {
+                        current += 2;
+                        break;
+                    }
+                    // "laugh", "mclaughlin", "cough", "rough"
+                    if (current > 2 && at(current - 1) === "U" && stringAt(current - 3, "C", "G", "L", "R", "T")) add("F");
+                    else if (current > 0 && at(current - 1) !== "I") add("K");
+                    current += 2;
+                    break;
+                }
+                if (at(current + 1) === "N") {
+                    if (current === 1 && vowelAt(0) && !slavoGermanic) add("KN", "N");
+                    // not "cagney"
+                    else if (!stringAt(current + 2, "EY") && at(current + 1) !== "Y" && !slavoGermanic) add("N", "KN");
+                    else add("KN");
+                    current += 2;
+                    break;
+                }
+                // "tagliaro"
+                if (stringAt(current + 1, "LI") && !slavoGermanic) {
+                    add("KL", "L");
+                    current += 2;
+                    break;
+                }
+                // -ges-, -gep-, -gel-, -gie- at the start
+                if (current === 0 && (at(current + 1) === "Y" ||
+                    stringAt(current + 1, "ES", "EP", "EB", "EL", "EY", "IB", "IL", "IN", "IE", "EI", "ER"))) {
+                    add("K", "J");
+                    current += 2;
+                    break;
+                }
+                // -ger-, -gy-
+                if ((stringAt(current + 1, "ER") || at(current + 1) === "Y") && !stringAt(0, "DANGER", "RANGER", "MANGER") &&
+                    !stringAt(current - 1, "E", "I") && !stringAt(current - 1, "RGY", "OGY")) {
+                    add("K", "J");
+                    current += 2;
+                    break;
+                }
+                // italian "biaggi"
+                if (stringAt(current + 1, "E", "I", "Y") || stringAt(current - 1, "AGGI", "OGGI")) {
+                    if (germanic || stringAt(current + 1, "ET")) add("K");
+                    else if (stringAt(current + 1, "IER ")) add("J");
+                    else add("J", "K");
+                    current += 2;
+                    break;
+                }
+                add("K");
+                current += at(current + 1) === "G" ? 2 : 1;
+                break;
+            case "H":
+                // only kept at the start or between vowels
+                if ((current === 0 || vowelAt(current - 1)) && vowelAt(current + 1)) {
+                    add("H");
+                    current += 2;
+                }
+                else current += 1;
+                break;
+            case "J":
+                // spanish "jose", "san jacinto"
+                if (stringAt(current, "JOSE") || stringAt(0, "SAN ")) {
+                    if ((current === 0 && at(current + 4) === " ") || stringAt(0, "SAN ")) add("H");
+                    else add("J", "H");
+                    current += 1;
+                    break;
+                }
+                // "yankelovich", "jankelowicz"
+                if (current === 0) add("J", "A");
+                // spanish "bajador"
+                else if (vowelAt(current - 1) && !slavoGermanic && (at(current + 1) === "A" || at(current + 1) === "O")) add("J", "H");
+                else if (current === last) add("J", " ");
+                else if (!stringAt(current + 1, "L", "T", "K", "S", "N", "M", "B", "Z") && !stringAt(current - 1, "S", "K", "L")) add("J");
+                current += at(current + 1) === "J" ? 2 : 1;
+                break;
+            case "K":
+                add("K");
+                current += at(current + 1) === "K" ? 2 : 1;
+                break;
+            case "L":
+                if (at(current + 1) === "L") {
+                    // spanish "cabrillo", "gallegos"
+                    if ((current === length - 3 && stringAt(current - 1, "ILLO", "ILLA", "ALLE")) ||
+                        ((stringAt(last - 1, "AS", "OS") || stringAt(last, "A", "O")) && stringAt(current - 1, "ALLE"))) {
+                        add("L", " ");
+                        current += 2;
+                        break;
+                    }
+                    current += 2;
+                }
+                else current += 1;
+                add("L");
+                break;
+            case "M":
+                // "dumb", "thumb"
+                if ((stringAt(current - 1, "UMB") && (current + 1 === last || stringAt(current + 2, "ER"))) || at(current + 1) === "M") current += 2;
+                else current += 1;
+                add("M");
+                break;
+            case "N":
+                add("N");
+                current += at(current + 1) === "N" ? 2 : 1;
+                break;
+            case "\u00d1": // Ñ
+                add("N");
+                current += 1;
+                break;
+            case "P":
+                if (at(current + 1) === "H") {
+                    add("F");
+                    current += 2;
+                    break;
+                }
+                // "campbell", "raspberry"
+                current += stringAt(current + 1, "P", "B") ? 2 : 1;
+                add("P");
+                break;
+            case "Q":
+                add("K");
+                current += at(current + 1) === "Q" ? 2 : 1;
+                break;
+            case "R":
+                // french "rogier", but not "hochmeier"
+                if (current === last && !slavoGermanic && stringAt(current - 2, "IE") && !stringAt(current - 4, "ME", "MA")) add("", "R");
+                else add("R");
+                current += at(current + 1) === "R" ? 2 : 1;
+                break;
+            case "S":
+                // "island", "isle", "carlisle", "carlysle"
+                if (stringAt(current - 1, "ISL", "YSL")) {
+                    current += 1;
+                    break;
+                }
+                // "sugar"
+                if (current === 0 && stringAt(current, "SUGAR")) {
+                    add("X", "S");
+                    current += 1;
+                    break;
+                }
+                if (stringAt(current, "SH")) {
+                    if (stringAt(current + 1, "HEIM", "HOEK", "HOLM", "HOLZ")) add("S");
+                    else add("X");
+                    current += 2;
+                    break;
+                }
+                // italian and armenian
+                if (stringAt(current, "SIO", "SIA") || stringAt(current, "SIAN")) {
+                    if (!slavoGermanic) add("S", "X");
+                    else add("S");
+                    current += 3;
+                    break;
+                }
+                // "smith" matching "schmidt", "snider" matching "schneider", and slavic -sz-
+                if ((current === 0 && stringAt(current + 1, "M", "N", "L", "W")) || stringAt(current + 1, "Z")) {
+                    add("S", "X");
+                    current += stringAt(current + 1, "Z") ? 2 : 1;
+                    break;
+                }
+                if (stringAt(current, "SC")) {
+                    // Schlesinger's rule
+                    if (at(current + 2) === "H") {
+                        // dutch "school", "schooner", "schermerhorn", "schenker"
+                        if (stringAt(current + 3, "OO", "ER", "EN", "UY", "ED", "EM")) {
+                            if (stringAt(current + 3, "ER", "EN")) add("X", "SK");
+                            else add("SK");
+                        }
+                        else if (current === 0 && !vowelAt(3) && at(3) !== "W") add("X", "S");
+                        else add("X");
+                        current += 3;
+                        break;
+                    }
+                    if (stringAt(current + 2, "I", "E", "Y")) add("S");
+                    else add("SK");
+                    current += 3;
+                    break;
+                }
+                // french "resnais", "artois"
+                if (current === last && stringAt(current - 2, "AI", "OI")) add("", "S");
+                else add("S");
+                current += stringAt(current + 1, "S", "Z") ? 2 : 1;
+                break;
+            case "T":
+                if (stringAt(current, "TION") || stringAt(current, "TIA", "TCH")) {
+                    add("X");
+                    current += 3;
+                    break;
+                }
+                if (stringAt(current, "TH") || stringAt(current, "TTH")) {
+                    // "thomas", "thames" or germanic
+                    if (stringAt(current + 2, "OM", "AM") || germanic) add("T");
+                    else add("0", "T");
+                    current += 2;
+                    break;
+                }
+                add("T");
+                current += stringAt(current + 1, "T", "D") ? 2 : 1;
+                break;
+            case "V":
+                add("F");
+                current += at(current + 1) === "V" ? 2 : 1;
+                break;
+            case "W":
+                if (stringAt(current, "WR")) {
+                    add("R");
+                    current += 2;
+                    break;
+                }
+                // "wasserman" matching "vasserman", "uomo" matching "womo"
+                if (current === 0 && (vowelAt(current + 1) || stringAt(current, "WH"))) {
+                    if (vowelAt(current + 1)) add("A", "F");
+                    else add("A");
+                }
+                // "arnow" matching "arnoff"
+                if ((current === last && vowelAt(current - 1)) || stringAt(current - 1, "EWSKI", "EWSKY", "OWSKI", "OWSKY") ||
+                    stringAt(0, "SCH")) {
+                    add("", "F");
+                    current += 1;
+                    break;
+                }
+                // polish "filipowicz"
+                if (stringAt(current, "WICZ", "WITZ")) {
+                    add("TS", "FX");
+                    current += 4;
+                    break;
+                }
+                current += 1;
+                break;
+            case "X":
+                // french "breaux"
+                if (!(current === last && (stringAt(current - 3, "IAU", "EAU") || stringAt(current - 2, "AU", "OU")))) add("KS");
+                current += stringAt(current + 1, "C", "X") ? 2 : 1;
+                break;
+            case "Z":
+                // chinese pinyin "zhao"
+                if (at(current + 1) === "H") {
+                    add("J");
+                    current += 2;
+                    break;
+                }
+                if (stringAt(current + 1, "ZO", "ZI", "ZA") || (slavoGermanic && current > 0 && at(current - 1) !== "T")) add("S", "TS");
+                else add("S");
+                current += at(current + 1) === "Z" ? 2 : 1;
+                break;
+            default:
+                current += 1;
+        }
+    }
+    return [primary.slice(0, 4), secondary.slice(0, 4)];
+}
+
+var algorithms = {
+    soundex: soundex,
+    nysiis: nysiis,
+    metaphone: metaphone,
+    double_metaphone: double_metaphone
+};
+
+// options.phonetic true or an algorithm name
+function algorithm(alg) {
+    if (alg === true || typeof alg === "undefined") alg = "double_metaphone";
+    if (typeof alg !== "string" || !algorithms.hasOwnProperty(alg)) {
+        throw new Error("Unknown phonetic algorithm, should be one of " + Object.keys(algorithms).join(", "));
+    }
+    return alg;
+}
+
+var cache = Object.create(null);
+var CACHE_SIZE = 10000;
+
+// code for one token to compare by, the primary code for double metaphone, the token itself if it has no letters
+function code(token, alg) {
+    var known = cache[alg] || (cache[alg] = { size: 0, codes: Object.create(null) });
+    if (token in known.codes) return known.codes[token];
+    var encoded = algorithms[alg](token);
+    if (alg === "double_metaphone") encoded = encoded[0];
+    if (!encoded) encoded = token;
+    if (known.size >= CACHE_SIZE) {
+        known.size = 0;
+        known.codes = Object.create(null);
+    }
+    known.codes[token] = encoded;
+    known.size++;
+    return encoded;
+}
+
+module.exports = {
+    soundex: soundex,
+    nysiis: nysiis,
+    metaphone: metaphone,
+    double_metaphone: double_metaphone,
+    algorithm: algorithm,
+    // tokens replaced by their codes
+    codes: function (tokens, alg) {
+        alg = algorithm(alg);
+        var codes = [];
+        for (var t = 0; t < tokens.length; t++) codes.push(code(tokens[t], alg));
+        return codes;
+    },
+    // every word of str encoded and joined by spaces, [primary, alternate] for double metaphone
+    encode: function (str, alg) {
+        alg = algorithm(alg);
+        var words = String(str).match(/\S+/g) || [];
+        var codes = [];
+        var alternates = [];
+        for (var w = 0; w < words.length; w++) {
+            var encoded = algorithms[alg](words[w]);
+            if (alg === "double_metaphone") {
+                if (encoded[0] || encoded[1]) {
+                    codes.push(encoded[0]);
+                    alternates.push(encoded[1]);
+                }
+            }
+            else if (encoded) codes.push(encoded);
+        }
+        if (alg === "double_metaphone") return [codes.join(" "), alternates.join(" ")];
+        return codes.join(" ");
+    }
+};
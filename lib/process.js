@@ -1,4 +1,4 @@
-module.exports = function (_clone_and_set_option_defaults, _isArray, QRatio, extract) {
+module.exports = function (_clone_and_set_option_defaults, _isArray, QRatio, extract, createIndex, idf_table) {
 
     module = {};
 
@@ -19,20 +19,30 @@ module.exports = function (_clone_and_set_option_defaults, _isArray, QRatio, ext
         * @param {String[]|Object[]|Object} contains_dupes - array of strings, or array of choice objects if processor is supplied, or object of form {key: choice}
         * @param {Object} [options_p] - Additional options.
         * @param {boolean} [options_p.useCollator] - Whether to include map of matching items in results
+        * @param {string} [options_p.locale] - locale for the collator (default "generic") and the lowercasing in full_process, sets useCollator unless it's false
+        * @param {Object} [options_p.collatorOptions] - Intl.Collator options e.g. sensitivity (default "base"), ignorePunctuation, numeric
         * @param {function} [options_p.scorer] - takes two strings and returns a score
         * @param {function} [options_p.processor] - takes each choice and outputs a string to be used for Scoring
         * @param {number} [options_p.cutoff] - matching threshold 0-100, Default: 70
         * @param {boolean} [options_p.useCollator] - Use `Intl.Collator` for locale-sensitive string comparison.
+        * @param {string} [options_p.locale] - locale for the collator (default "generic") and the lowercasing in full_process, sets useCollator unless it's false
+        * @param {Object} [options_p.collatorOptions] - Intl.Collator options e.g. sensitivity (default "base"), ignorePunctuation, numeric
         * @param {boolean} [options_p.astral] - use iLeven for scoring to properly handle astral symbols
         * @param {boolean} [options_p.full_process] - Apply basic cleanup, non-alphanumeric to whitespace etc. if true. default true
         * @param {boolean} [options_p.force_ascii] - Strip non-ascii in full_process if true (non-ascii will not become whtespace), only applied if full_process is true as well, default false
+        * @param {string|string[]} [options_p.stopwords] - "english", "company" or a list of words to drop in full_process
+        * @param {string|Object} [options_p.synonyms] - "address", "company" or {word: replacement} applied in full_process
+        * @param {string|Object} [options_p.abbreviations] - "address", "company" or {abbreviation: expansion} applied in full_process, before synonyms
         * @param {boolean} [options_p.trySimple] - try simple/partial ratio as part of (parial_)token_set_ratio test suite
         * @param {number} [options_p.subcost] - Substitution cost, default 1 for distance, 2 for all ratios
         * @param {string} [options_p.wildcards] - characters that will be used as wildcards if provided
+        * @param {boolean} [options_p.glob] - "*" matches any run of characters, "?" any one and "[...]" one of a class, in either string
+        * @param {string|function} [options_p.tokenizer] - how token scorers split strings, "whitespace" (default), "alnum-boundary", "cjk-bigram", "Intl.Segmenter" or a function (str, options) returning the tokens
         * @param {boolean} [options_p.collapseWhitespace] - Collapse consecutive white space during full_process, default true
         * @param {string} [options_p.normalize] - Normalize unicode representations
         * @param {boolean} [options_p.keepmap] - keep the items mapped to this value, default false
         * @param {boolean} [options_p.returnObjects] - return array of object instead of array of tuples
+        * @param {boolean} [options_p.blocking] - use q-gram blocking to skip choices that can't reach the cutoff, for ratio, token_sort_ratio and token_set_ratio
         * @returns {Object[] | Array[]} - array of unique items and the index/key of the used match in contains_dupes.
         */
 
@@ -70,6 +80,12 @@ module.exports = function (_clone_and_set_option_defaults, _isArray, QRatio, ext
 
         var uniqueItems = {};
 
+        // learn the token frequencies once instead of in every extract
+        if (options.scorer.name === "idf_token_set_ratio" && !options.idf && idf_table) options.idf = idf_table(contains_dupes, options);
+
+        // build the blocking index once instead of in every extract
+        var index = options.blocking && createIndex ? createIndex(contains_dupes, options) : null;
+
         for (var i in contains_dupes) {
             var item = processor(contains_dupes[i]);
 
@@ -77,7 +93,7 @@ module.exports = function (_clone_and_set_option_defaults, _isArray, QRatio, ext
                 throw new Error("Each processed item in dedupe must be a string.");
             }
 
-            var matches = extract(item, contains_dupes, options);
+            var matches = index ? index.extract(item, options) : extract(item, contains_dupes, options);
 
             if (options.returnObjects) {
                 if (matches.length === 1) {
@@ -0,0 +1,106 @@
+module.exports = function (difflib, _toArray) {
+    var module = {};
+
+    var _jaro = require('./jaro.js');
+    var compare = require('./compare.js');
+    var matching_blocks = require('./matching_blocks.js');
+
+    // options.ratio_alg name -> function (str1, str2, options) returning 0-100, strings are already processed
+    var algorithms = {};
+
+    // 2 * matches / total length, with wildcards or useCollator the matching blocks are found with compare.equality
+    algorithms.difflib = function difflib_ratio(str1, str2, options) {
+        if (!options || (!options.wildcards && !options.useCollator)) {
+            var m = new difflib.SequenceMatcher(null, str1, str2);
+            return Math.round(100 * m.ratio());
+        }
+        var achars = compare.chars(str1, options, _toArray);
+        var bchars = compare.chars(str2, options, _toArray);
+        var total = achars.length + bchars.length;
+        if (total === 0) return 100;
+        var blocks = matching_blocks(achars, bchars, compare.equality(options));
+        var matches = 0;
+        for (var b = 0; b < blocks.length; b++) matches += blocks[b][2];
+        return Math.round(100 * 2 * matches / total);
+    };
+
+    algorithms.jaro = function jaro_ratio(str1, str2, options) {
+        return Math.round(100 * _jaro.jaro(str1, str2, options, _toArray));
+    };
+
+    algorithms.jaro_winkler = function jaro_winkler_ratio(str1, str2, options) {
+        return Math.round(100 * _jaro.jaro_winkler(str1, str2, options, _toArray));
+    };
+
+    // longest common subsequence over the length of the longer string
+    algorithms.lcs = function lcs_ratio(str1, str2, options) {
+        var achars = compare.chars(str1, options, _toArray);
+        var bchars = compare.chars(str2, options, _toArray);
+        var equal = compare.equality(options);
+        var row = [];
+        var j;
+        for (j = 0; j <= bchars.length; j++) row[j] = 0;
+        for (var i = 1; i <= achars.length; i++) {
+            var diag = 0;
+            for (j = 1; j <= bchars.length; j++) {
+                var up = row[j];
+                row[j] = equal(achars[i - 1], bchars[j - 1]) ? diag + 1 : (up > row[j - 1] ? up : row[j - 1]);
+                diag = up;
+            }
+        }
+        var longest = Math.max(achars.length, bchars.length);
+        return longest === 0 ? 0 : Math.round(100 * row[bchars.length] / longest);
+    };
+
+    // positions that differ, the shorter string is treated as padded out to the length of the longer
+    algorithms.hamming = function hamming_ratio(str1, str2, options) {
+        var achars = compare.chars(str1, options, _toArray);
+        var bchars = compare.chars(str2, options, _toArray);
+        var equal = compare.equality(options);
+        var shortest = Math.min(achars.length, bchars.length);
+        var longest = Math.max(achars.length, bchars.length);
+        var same = 0;
+        for (var i = 0; i < shortest; i++) {
+            if (equal(achars[i], bchars[i])) same++;
+        }
+        return longest === 0 ? 0 : Math.round(100 * same / longest);
+    };
+
+    var builtin = {};
+    for (var name in algorithms) builtin[name] = algorithms[name];
+    var unknownWarned = {};
+
+    module.registerRatioAlgorithm = function registerRatioAlgorithm(name, fn) {
+        /**
+         * Add a ratio algorithm that can then be selected with options.ratio_alg, used by ratio and every
+         * scorer built on it (partial_ratio, the token scorers, WRatio, extract, dedupe).
+         * Built in are "difflib", "jaro", "jaro_winkler", "lcs" and "hamming", "levenshtein" is the default ratio.
+         *
+         * @function registerRatioAlgorithm
+         * @param {string} name - value of options.ratio_alg to select it with
+         * @param {function} fn - takes the two processed strings and options, returns a score 0-100
+         */
+        if (typeof name !== "string" || name.length === 0) throw new Error("Invalid ratio algorithm name");
+        if (typeof fn !== "function") throw new Error("Invalid ratio algorithm");
+        if (name === "levenshtein") throw new Error("levenshtein is the default ratio and can't be replaced");
+        algorithms[name] = fn;
+    };
+
+    // undefined if the levenshtein ratio should be used
+    module.get = function (name) {
+        if (Object.prototype.hasOwnProperty.call(algorithms, name)) return algorithms[name];
+        if (name === "levenshtein") return undefined;
+        if (!unknownWarned[name]) {
+            if (typeof console !== undefined) console.warn("Unknown ratio_alg '" + name + "', using levenshtein ratio");
+            unknownWarned[name] = true;
+        }
+        return undefined;
+    };
+
+    // whether it's available without registering, e.g. in extractParallel's workers
+    module.isBuiltin = function (name) {
+        return name === "levenshtein" || (Object.prototype.hasOwnProperty.call(builtin, name) && algorithms[name] === builtin[name]);
+    };
+
+    return module;
+}
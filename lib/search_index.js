@@ -0,0 +1,492 @@
+module.exports = function (utils, _isArray, _forEach, Heap, QRatio) {
+    var module = {};
+
+    var full_process = utils.full_process;
+    var process_and_sort = utils.process_and_sort;
+    var tokenize = utils.tokenize;
+    var _validate = utils.validate;
+    var _clone_and_set_option_defaults = utils.clone_and_set_option_defaults;
+    var _isCustomFunc = utils.isCustomFunc;
+    var _abortError = utils.abortError;
+
+    var blocking = require('./blocking.js');
+    var _damerau = require('./damerau.js');
+    var _idf = require('./idf.js');
+
+    // options that change how choices are pre-processed, saved with a serialized index
+    var FINGERPRINT_OPTIONS = ['full_process', 'force_ascii', 'collapseWhitespace', 'wildcards', 'glob', 'astral', 'graphemes', 'normalize', 'stopwords', 'synonyms', 'abbreviations', 'tokenizer', 'useCollator', 'locale', 'collatorOptions'];
+    // all options fixed when the index is built, processor has to be supplied again when loading
+    var INDEX_OPTIONS = FINGERPRINT_OPTIONS.concat(['processor', 'blocking', 'ngram_size']);
+    // saved with the index too, but can be changed when loading it
+    var SAVED_OPTIONS = FINGERPRINT_OPTIONS.concat(['blocking', 'ngram_size']);
+    // scorers q-gram blocking can rule choices out for, see lib/blocking.js
+    var BLOCKING_SCORERS = ['QRatio', 'token_sort_ratio', 'token_set_ratio'];
+    // bump when the serialized format or any of the pre-processing changes
+    var INDEX_VERSION = 1;
+
+    // always copy, clone_and_set_option_defaults hands back the same object if it's already a clone
+    function _copy_options(options_p) {
+        var optcopy = {};
+        if (options_p) {
+            var i, keys = Object.keys(options_p);
+            for (i = 0; i < keys.length; i++) {
+                if (keys[i] !== 'isAClone') optcopy[keys[i]] = options_p[keys[i]];
+            }
+        }
+        return _clone_and_set_option_defaults(optcopy);
+    }
+
+    // word lists can be given as arrays or objects, which are the same if they saved to the same JSON
+    function _same_option(a, b) {
+        if (a === b) return true;
+        return typeof a === "object" && typeof b === "object" && JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    function _normalizing(index_options) {
+        if (index_options.astral && index_options.normalize) {
+            if (String.prototype.normalize) return true;
+            else if (typeof console !== undefined) console.warn("Normalization not supported in your environment");
+        }
+        return false;
+    }
+
+    module.createIndex = function createIndex(choices, options_p) {
+
+        /**
+        * Pre-process a list of choices once so they can be searched repeatedly. Runs full_process,
+        * process_and_sort and unique_tokens on every choice up front and keeps the results, so each
+        * search only has to process the query.
+        *
+        * Options that affect pre-processing (full_process, force_ascii, collapseWhitespace, wildcards,
+        * glob, astral, graphemes, normalize, stopwords, synonyms, abbreviations, tokenizer, useCollator, locale, collatorOptions,
+        * processor) are fixed when the index is built and will override any passed
+        * to index.extract. Everything else (scorer, cutoff, limit, returnObjects etc.) can be set per search.
+        *
+        * @function createIndex
+        * @param {String[]|Object[]|Object} choices - array of strings, or array of choice objects if processor is supplied, or object of form {key: choice}
+        * @param {Object} [options_p] - Additional options.
+        * @param {function} [options_p.processor] - takes each choice and outputs a value to be used for Scoring
+        * @param {boolean} [options_p.full_process] - Apply basic cleanup, non-alphanumeric to whitespace etc. if true. default true
+        * @param {boolean} [options_p.force_ascii] - Strip non-ascii in full_process if true (non-ascii will not become whtespace), only applied if full_process is true as well, default false
+        * @param {boolean} [options_p.collapseWhitespace] - Collapse consecutive white space during full_process, default true
+        * @param {string} [options_p.wildcards] - characters that will be used as wildcards if provided
+        * @param {boolean} [options_p.glob] - "*" matches any run of characters, "?" any one and "[...]" one of a class, in either string
+        * @param {boolean} [options_p.astral] - Use astral aware calculation
+        * @param {boolean} [options_p.graphemes] - Astral mode comparing grapheme clusters as single characters
+        * @param {boolean} [options_p.normalize] - Normalize unicode representations
+        * @param {string|string[]} [options_p.stopwords] - "english", "company" or a list of words to drop in full_process
+        * @param {string|Object} [options_p.synonyms] - "address", "company" or {word: replacement} applied in full_process
+        * @param {string|Object} [options_p.abbreviations] - "address", "company" or {abbreviation: expansion} applied in full_process, before synonyms
+        * @param {string|function} [options_p.tokenizer] - "whitespace" (default), "alnum-boundary", "cjk-bigram", "Intl.Segmenter" or a function (str, options) returning the tokens
+        * @param {boolean} [options_p.useCollator] - Use `Intl.Collator` for locale-sensitive string comparison.
+        * @param {string} [options_p.locale] - locale for the lowercasing in full_process and the collator
+        * @param {Object} [options_p.collatorOptions] - Intl.Collator options e.g. sensitivity (default "base"), ignorePunctuation, numeric
+        * @returns {Object} - index object with extract(query, options) and extractAsync(query, options, callback) methods
+        */
+
+        var index_options = _copy_options(options_p);
+
+        if (!_isArray(choices) && !(choices instanceof Object)) {
+            throw new Error("Invalid choices");
+        }
+        if (index_options.processor && typeof index_options.processor !== "function") {
+            throw new Error("Invalid Processor");
+        }
+        if (!index_options.processor) index_options.processor = function (x) { return x; }
+
+        var normalize = _normalizing(index_options);
+
+        var entries = [];
+        _forEach(choices, function (value, key) {
+            var processed = index_options.processor(value);
+            if (index_options.full_process) processed = full_process(processed, index_options);
+            if (normalize && typeof processed === "string") processed = processed.normalize();
+            var isString = typeof processed === "string" || processed instanceof String;
+            entries.push({
+                key: key,
+                value: value,
+                processed: processed,
+                proc_sorted: value && value.proc_sorted ? value.proc_sorted : process_and_sort(processed, index_options),
+                tokens: value && value.tokens ? value.tokens : (isString ? tokenize(processed, index_options) : [])
+            });
+        });
+
+        return _make_index(entries, index_options, normalize);
+    }
+
+    module.loadIndex = function loadIndex(data, options_p) {
+
+        /**
+        * Restore an index saved with JSON.stringify(index) or index.toJSON(). The options it was built with
+        * are restored too, except the processor: functions can't be saved, so a custom processor (or tokenizer
+        * function) has to be supplied again here. Will throw if the index was
+        * saved by an incompatible version, or if any pre-processing options given here (full_process,
+        * force_ascii, collapseWhitespace, wildcards, glob, astral, graphemes, normalize, stopwords, synonyms, abbreviations, tokenizer, useCollator, locale,
+        * collatorOptions) differ from the ones the index was built with, or if it was built with a tokenizer function
+        * that isn't passed again. There's only this JSON form, no compact binary one.
+        *
+        * @function loadIndex
+        * @param {Object|string} data - output of index.toJSON(), or the JSON string of it
+        * @param {Object} [options_p] - Additional options.
+        * @param {function} [options_p.processor] - processor used when the index was built, only needed for custom scorers
+        * @param {function} [options_p.tokenizer] - tokenizer function used when the index was built, functions aren't saved
+        * @param {boolean} [options_p.blocking] - override whether to use q-gram blocking, default as when the index was built
+        * @param {number} [options_p.ngram_size] - override the blocking n-gram size, default as when the index was built
+        * @returns {Object} - index object, same as returned by createIndex
+        */
+
+        if (typeof data === "string" || data instanceof String) data = JSON.parse(data);
+        if (!data || typeof data !== "object" || data.version !== INDEX_VERSION) {
+            throw new Error("Unsupported index version");
+        }
+        var index_options = _clone_and_set_option_defaults(data.options);
+        if (!options_p) options_p = {};
+        var incompatible = [];
+        for (var i = 0; i < FINGERPRINT_OPTIONS.length; i++) {
+            var opt = FINGERPRINT_OPTIONS[i];
+            if (opt === 'tokenizer' && (data.tokenizerFunction || typeof options_p.tokenizer === "function")) {
+                // functions aren't saved, only whether one was used
+                if (!data.tokenizerFunction || (typeof options_p.tokenizer !== "undefined" && typeof options_p.tokenizer !== "function")) incompatible.push(opt);
+                continue;
+            }
+            if (typeof options_p[opt] !== 'undefined' && !_same_option(options_p[opt], index_options[opt])) incompatible.push(opt);
+        }
+        if (data.tokenizerFunction && typeof options_p.tokenizer === "undefined") {
+            throw new Error("Index was built with a tokenizer function, pass it to loadIndex again");
+        }
+        if (incompatible.length) {
+            throw new Error("Index was built with incompatible options: " + incompatible.join(", "));
+        }
+        if (options_p.processor && typeof options_p.processor !== "function") {
+            throw new Error("Invalid Processor");
+        }
+        index_options.processor = options_p.processor;
+        if (typeof options_p.tokenizer === "function") index_options.tokenizer = options_p.tokenizer;
+        if (typeof options_p.blocking !== 'undefined') index_options.blocking = options_p.blocking;
+        if (typeof options_p.ngram_size !== 'undefined') index_options.ngram_size = options_p.ngram_size;
+        if (!index_options.processor) index_options.processor = function (x) { return x; }
+
+        var entries = [];
+        for (var e = 0; e < data.keys.length; e++) {
+            var tokens = [];
+            for (var t = 0; t < data.tokens[e].length; t++) tokens.push(data.vocab[data.tokens[e][t]]);
+            entries.push({
+                key: data.keys[e],
+                value: data.choices[e],
+                processed: data.processed[e],
+                proc_sorted: data.proc_sorted[e],
+                tokens: tokens
+            });
+        }
+        return _make_index(entries, index_options, _normalizing(index_options));
+    }
+
+    function _make_index(entries, index_options, normalize) {
+
+        var postings = {};
+        var idf; // token frequencies across the entries, worked out the first time idf_token_set_ratio is used
+
+        function _search_options(options_p) {
+            var options = _copy_options(options_p);
+            for (var i = 0; i < INDEX_OPTIONS.length; i++) {
+                options[INDEX_OPTIONS[i]] = index_options[INDEX_OPTIONS[i]];
+            }
+            return options;
+        }
+
+        // process the query once and work out what has to be handed to the scorer for each entry
+        function _prepare(query, options) {
+            if (options.scorer && typeof options.scorer !== "function") {
+                throw new Error("Invalid Scorer");
+            }
+            if (!options.scorer) {
+                options.scorer = QRatio;
+                if (typeof console !== undefined) console.log("Using default scorer 'ratio'");
+            }
+            var search = { isCustom: _isCustomFunc(options.scorer), tsort: false, tset: false };
+            if (!options.cutoff || typeof options.cutoff !== "number") { options.cutoff = -1; }
+            utils.setScoreCutoff(options);
+            if (!search.isCustom) { // if custom scorer func let scorer handle it
+                if (options.full_process) {
+                    query = full_process(query, options);
+                    options.processed = true; // to let wildcardLeven know and not run again after we set fp to false below
+                }
+                options.full_process = false;
+                if (options.astral && options.normalize) {
+                    options.normalize = false;  // choices were normalized when building the index
+                    if (normalize) query = query.normalize();
+                }
+                if (query.length === 0) if (typeof console !== undefined) console.warn("Processed query is empty string");
+            }
+            if (options.scorer.name === "token_sort_ratio" || options.scorer.name === "partial_token_sort_ratio") {
+                search.proc_sorted_query = process_and_sort(query, options);
+                search.tsort = true;
+            }
+            else if (options.scorer.name === "token_set_ratio" || options.scorer.name === "partial_token_set_ratio" || options.scorer.name === "idf_token_set_ratio") {
+                search.query_tokens = tokenize(query, options);
+                search.tset = true;
+            }
+            if (options.scorer.name === "idf_token_set_ratio" && !options.idf) {
+                if (!idf) {
+                    var token_lists = [];
+                    for (var i = 0; i < entries.length; i++) token_lists.push(entries[i].tokens);
+                    idf = _idf.table(token_lists);
+                }
+                options.idf = idf;
+            }
+            search.query = query;
+            return search;
+        }
+
+        function _score(entry, search, options) {
+            options.tokens = undefined;
+            options.proc_sorted = false;
+            if (search.tsort) {
+                options.proc_sorted = true;
+                return options.scorer(search.proc_sorted_query, entry.proc_sorted, options);
+            }
+            else if (search.tset) {
+                options.tokens = [search.query_tokens, entry.tokens];
+                return options.scorer(search.query, entry.processed, options);
+            }
+            else if (search.isCustom) {
+                return options.scorer(search.query, index_options.processor(entry.value), options);
+            }
+            else {
+                if (!_validate(entry.processed)) search.anyblank = true;
+                return options.scorer(search.query, entry.processed, options);
+            }
+        }
+
+        function _field_strings(field) {
+            var strings = [];
+            for (var i = 0; i < entries.length; i++) {
+                var str = field === "token_set" ? entries[i].tokens.slice().sort().join(" ").trim() : entries[i][field];
+                strings.push(_validate(str) ? String(str) : null);
+            }
+            return strings;
+        }
+
+        // indexes of the entries that can possibly score above the cutoff, or null if have to score them all
+        function _candidates(search, options) {
+            if (!index_options.blocking || search.isCustom || options.cutoff < 0) return null;
+            if (BLOCKING_SCORERS.indexOf(options.scorer.name) === -1) return null;
+            if (options.wildcards || options.glob || options.useCollator || options.astral || options.ratio_alg || options.transpositions || options.phonetic) return null;
+            if (typeof options.subcost !== "undefined" && options.subcost !== 2) return null;
+            if (_damerau.weighted(options)) return null;
+
+            var q = index_options.ngram_size && typeof index_options.ngram_size === "number" ? index_options.ngram_size : 3;
+            var checks = [];
+            if (search.tsort) checks.push({ field: "proc_sorted", query: search.proc_sorted_query });
+            else if (search.tset) {
+                // with no tokens in common token_set_ratio is just the ratio of the sorted token strings
+                checks.push({ field: "token_set", query: search.query_tokens.slice().sort().join(" ").trim() });
+                if (options.trySimple) checks.push({ field: "processed", query: search.query });
+            }
+            else checks.push({ field: "processed", query: search.query });
+
+            var keep = [];
+            var i, c;
+            for (i = 0; i < entries.length; i++) keep[i] = false;
+            for (c = 0; c < checks.length; c++) {
+                var field = checks[c].field;
+                if (!postings[field]) {
+                    postings[field] = { strings: _field_strings(field) };
+                    postings[field].grams = blocking.build_postings(postings[field].strings, q);
+                }
+                var query = checks[c].query;
+                if (!_validate(query)) continue;
+                query = String(query);
+                var strings = postings[field].strings;
+                var shared = blocking.shared_counts(query, postings[field].grams, entries.length, q);
+                for (i = 0; i < entries.length; i++) {
+                    if (!keep[i] && strings[i] !== null) keep[i] = blocking.can_pass(query.length, strings[i].length, shared[i], q, options.cutoff);
+                }
+            }
+            if (search.tset) {
+                if (!postings.tokens) {
+                    postings.tokens = Object.create(null);
+                    for (i = 0; i < entries.length; i++) {
+                        for (var t = 0; t < entries[i].tokens.length; t++) {
+                            var token = entries[i].tokens[t];
+                            if (!postings.tokens[token]) postings.tokens[token] = [];
+                            postings.tokens[token].push(i);
+                        }
+                    }
+                }
+                for (var qt = 0; qt < search.query_tokens.length; qt++) {
+                    var list = postings.tokens[search.query_tokens[qt]] || [];
+                    for (var p = 0; p < list.length; p++) keep[list[p]] = true;
+                }
+            }
+
+            var candidates = [];
+            for (i = 0; i < entries.length; i++) {
+                if (keep[i]) candidates.push(i);
+            }
+            return candidates;
+        }
+
+        function _push_result(results, entry, result, options) {
+            if (result > options.cutoff) {
+                if (options.returnObjects) results.push({ choice: entry.value, score: result, key: entry.key });
+                else results.push([entry.value, result, entry.key]);
+                if (options.onMatch) options.onMatch(results[results.length - 1]); // set by extractStream
+            }
+        }
+
+        function _finish(results, search, options) {
+            var cmpHeap, cmpSort;
+            if (options.returnObjects) {
+                cmpHeap = function (a, b) { return a.score - b.score; };
+                cmpSort = function (a, b) { return b.score - a.score; };
+            }
+            else {
+                cmpHeap = function (a, b) { return a[1] - b[1]; };
+                cmpSort = function (a, b) { return b[1] - a[1]; };
+            }
+            if (search.anyblank) if (typeof console !== undefined) console.log("One or more choices were empty. (post-processing if applied)")
+            if (options.limit && typeof options.limit === "number" && options.limit > 0 && options.limit < entries.length && !options.unsorted) {
+                results = Heap.nlargest(results, options.limit, cmpHeap);
+            }
+            else if (!options.unsorted) {
+                results = results.sort(cmpSort);
+            }
+            return results;
+        }
+
+        function extract(query, options_p) {
+            /**
+             * Return the top scoring items from the index, same options and results as fuzz.extract
+             *
+             * @function index.extract
+             * @param query - the search term.
+             * @param {Object} [options_p] - Additional options, see extract.
+             * @returns {Array[] | Object[]} - array of choice results with their computed ratios (0-100).
+             */
+            var options = _search_options(options_p);
+            if (entries.length === 0) {
+                if (typeof console !== undefined) console.warn("No choices");
+                return [];
+            }
+            var search = _prepare(query, options);
+            var candidates = _candidates(search, options);
+            var results = [];
+            var n = candidates ? candidates.length : entries.length;
+            for (var i = 0; i < n; i++) {
+                var entry = entries[candidates ? candidates[i] : i];
+                _push_result(results, entry, _score(entry, search, options), options);
+            }
+            return _finish(results, search, options);
+        }
+
+        function extractAsync(query, options_p, callback) {
+            /**
+             * Return the top scoring items from the index, same options and results as fuzz.extractAsync
+             *
+             * @function index.extractAsync
+             * @param query - the search term.
+             * @param {Object} [options_p] - Additional options, see extract.
+             * @param {function} [callback] - node style callback (err, arrayOfResults), returns a Promise if not supplied
+             */
+            if (typeof callback !== "function") {
+                return new Promise(function (resolve, reject) {
+                    extractAsync(query, options_p, function (err, results) {
+                        if (err) reject(err);
+                        else resolve(results);
+                    });
+                });
+            }
+            var options = _search_options(options_p);
+            if (entries.length === 0) {
+                if (typeof console !== undefined) console.warn("No choices");
+                callback(null, []);
+                return;
+            }
+            var search, candidates;
+            try {
+                search = _prepare(query, options);
+                candidates = _candidates(search, options);
+            }
+            catch (err) {
+                callback(err);
+                return;
+            }
+            var results = [];
+            var n = candidates ? candidates.length : entries.length;
+            // progress is against all the entries like extractAsync, the ones blocking skipped count as done
+            var total = entries.length;
+            if (n === 0) {
+                if (options.onProgress) options.onProgress(total, total);
+                callback(null, []);
+                return;
+            }
+            searchLoop(0);
+            function searchLoop(i) {
+                if (options.signal && options.signal.aborted) {
+                    callback(_abortError(options.signal));
+                    return;
+                }
+                var sliceStart = options.timeSlice ? Date.now() : 0;
+                for (; i < n; i++) {
+                    var entry = entries[candidates ? candidates[i] : i];
+                    _push_result(results, entry, _score(entry, search, options), options);
+                    if (i < n - 1 && (!options.timeSlice || Date.now() - sliceStart >= options.timeSlice)) {
+                        if (options.onProgress) options.onProgress(candidates ? candidates[i] + 1 : i + 1, total);
+                        setImmediate(function () { searchLoop(i + 1) });
+                        return;
+                    }
+                }
+                if (options.onProgress) options.onProgress(total, total);
+                callback(null, _finish(results, search, options));
+            }
+        }
+
+        function toJSON() {
+            /**
+             * Plain object form of the index for saving, pass to fuzz.loadIndex to restore.
+             * Tokens are stored as indexes into a shared vocab array to keep the size down.
+             * Choices need to be JSON serializable.
+             *
+             * @function index.toJSON
+             * @returns {Object}
+             */
+            var data = { version: INDEX_VERSION, options: {}, keys: [], choices: [], processed: [], proc_sorted: [], tokens: [], vocab: [] };
+            for (var i = 0; i < SAVED_OPTIONS.length; i++) {
+                data.options[SAVED_OPTIONS[i]] = index_options[SAVED_OPTIONS[i]];
+            }
+            // a tokenizer function can't be saved, loadIndex needs it passed again
+            if (typeof index_options.tokenizer === "function") {
+                data.options.tokenizer = undefined;
+                data.tokenizerFunction = true;
+            }
+            var vocab_ids = Object.create(null);
+            for (var e = 0; e < entries.length; e++) {
+                var ids = [];
+                for (var t = 0; t < entries[e].tokens.length; t++) {
+                    var token = entries[e].tokens[t];
+                    if (!(token in vocab_ids)) {
+                        vocab_ids[token] = data.vocab.length;
+                        data.vocab.push(token);
+                    }
+                    ids.push(vocab_ids[token]);
+                }
+                data.keys.push(entries[e].key);
+                data.choices.push(entries[e].value);
+                data.processed.push(entries[e].processed);
+                data.proc_sorted.push(entries[e].proc_sorted);
+                data.tokens.push(ids);
+            }
+            return data;
+        }
+
+        return {
+            extract: extract,
+            extractAsync: extractAsync,
+            toJSON: toJSON,
+            size: entries.length
+        };
+    }
+
+    return module;
+}
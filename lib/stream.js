@@ -0,0 +1,79 @@
+module.exports = function (_clone_and_set_option_defaults, extractAsync) {
+
+    var module = {};
+
+    module.extractStream = function extractStream(query, choices, options_p) {
+
+        /**
+        * Async iterator version of extractAsync, for use with for await...of.
+        * Without a limit each result above the cutoff is yielded as soon as it's found, in the order
+        * the choices are scanned. With a limit (and unsorted not set) the top results are yielded
+        * in order once the scan completes.
+        *
+        * @function extractStream
+        * @param query - the search term.
+        * @param {String[]|Object[]|Object} choices - array of strings, or array of choice objects if processor is supplied, or object of form {key: choice}
+        * @param {Object} [options_p] - Additional options, same as extractAsync.
+        * @returns {Object} - async iterator of results
+        */
+        var options = _clone_and_set_option_defaults(options_p);
+        var streaming = !(options.limit && typeof options.limit === "number" && options.limit > 0) || options.unsorted;
+        var queue = [];
+        var waiting = [];
+        var finished = false;
+        var stopped = false;
+        var error = null;
+
+        function settle() {
+            while (waiting.length && (queue.length || finished)) {
+                var next = waiting.shift();
+                if (queue.length) next.resolve({ value: queue.shift(), done: false });
+                else if (error) {
+                    next.reject(error);
+                    error = null;
+                }
+                else next.resolve({ value: undefined, done: true });
+            }
+        }
+
+        // stops the scan on return() as well as when the caller's signal is aborted
+        var signal = options.signal;
+        options.signal = {
+            get aborted() { return stopped || !!(signal && signal.aborted); },
+            get reason() { return signal && signal.aborted ? signal.reason : undefined; }
+        };
+        if (streaming) options.onMatch = function (result) {
+            if (stopped) return;
+            queue.push(result);
+            settle();
+        };
+        extractAsync(query, choices, options, function (err, results) {
+            if (err && !stopped) error = err;
+            else if (!streaming && !stopped) queue = queue.concat(results);
+            finished = true;
+            settle();
+        });
+
+        var iterator = {
+            next: function () {
+                return new Promise(function (resolve, reject) {
+                    waiting.push({ resolve: resolve, reject: reject });
+                    settle();
+                });
+            }
+        };
+        // break out of for await, stops the scan
+        iterator["return"] = function (value) {
+            stopped = true;
+            finished = true;
+            queue = [];
+            return Promise.resolve({ value: value, done: true });
+        };
+        if (typeof Symbol !== "undefined" && Symbol.asyncIterator) {
+            iterator[Symbol.asyncIterator] = function () { return this; };
+        }
+        return iterator;
+    }
+
+    return module;
+}
@@ -0,0 +1,101 @@
+// @ts-check
+// options.substitutionCosts, characters (or short strings like "rn" and "m") that are cheaper to substitute
+// for each other than an arbitrary substitution. Given as a preset name or a list of [str1, str2, cost] where
+// cost is a multiple of options.subcost and applies in either direction.
+
+// looks alike once scanned, case variants are added below
+var ocr = [
+    ["o", "0", 0.25], ["d", "0", 0.5], ["q", "0", 0.5], ["l", "1", 0.25], ["i", "1", 0.25], ["i", "l", 0.25],
+    ["s", "5", 0.25], ["b", "8", 0.25], ["z", "2", 0.25], ["g", "6", 0.5], ["g", "9", 0.5], ["q", "9", 0.5],
+    ["a", "4", 0.5], ["t", "7", 0.5], ["e", "c", 0.5], ["u", "v", 0.5], ["n", "h", 0.5], ["f", "t", 0.5],
+    ["rn", "m", 0.25], ["cl", "d", 0.25], ["vv", "w", 0.25], ["ri", "n", 0.5], ["li", "h", 0.5], ["in", "m", 0.5]
+];
+var ocrMixedCase = [["I", "l", 0.25], ["O", "0", 0.25], ["D", "0", 0.5], ["B", "8", 0.25], ["S", "5", 0.25], ["Z", "2", 0.25], ["G", "6", 0.5]];
+
+// neighbouring keys, each row is offset half a key right of the one above it
+var qwertyRows = ["1234567890", "qwertyuiop", "asdfghjkl", "zxcvbnm"];
+var QWERTY_COST = 0.5;
+
+function withCases(pairs) {
+    var all = [];
+    for (var p = 0; p < pairs.length; p++) {
+        all.push(pairs[p]);
+        var upper = [pairs[p][0].toUpperCase(), pairs[p][1].toUpperCase(), pairs[p][2]];
+        if (upper[0] !== pairs[p][0] || upper[1] !== pairs[p][1]) all.push(upper);
+    }
+    return all;
+}
+
+function qwertyPairs() {
+    var pairs = [];
+    for (var r = 0; r < qwertyRows.length; r++) {
+        var row = qwertyRows[r];
+        var below = qwertyRows[r + 1] || "";
+        for (var k = 0; k < row.length; k++) {
+            if (k + 1 < row.length) pairs.push([row[k], row[k + 1], QWERTY_COST]);
+            if (below[k - 1]) pairs.push([row[k], below[k - 1], QWERTY_COST]);
+            if (below[k]) pairs.push([row[k], below[k], QWERTY_COST]);
+        }
+    }
+    return withCases(pairs);
+}
+
+var presets = {
+    ocr: function () { return withCases(ocr).concat(ocrMixedCase); },
+    qwerty: qwertyPairs
+};
+
+// code points
+function chars(str) {
+    return str.match(/[\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S]/g) || [];
+}
+
+function compile(spec) {
+    var pairs = typeof spec === "string" && presets.hasOwnProperty(spec) ? presets[spec]() : spec;
+    if (!Array.isArray(pairs)) throw new Error("Invalid substitutionCosts, should be \"ocr\", \"qwerty\" or a list of [str1, str2, cost]");
+    var single = Object.create(null);
+    var multi = [];
+    var longest = 1;
+    function add(from, to, cost) {
+        if (from.length === 1 && to.length === 1) {
+            if (!single[from[0]]) single[from[0]] = Object.create(null);
+            single[from[0]][to[0]] = cost;
+        }
+        else {
+            multi.push({ from: from, to: to, cost: cost });
+            longest = Math.max(longest, from.length);
+        }
+    }
+    for (var p = 0; p < pairs.length; p++) {
+        var pair = pairs[p];
+        if (!Array.isArray(pair) || typeof pair[0] !== "string" || typeof pair[1] !== "string" || !pair[0].length || !pair[1].length ||
+            typeof pair[2] !== "number" || pair[2] < 0) {
+            throw new Error("Invalid substitutionCosts entry, should be [str1, str2, cost]");
+        }
+        var a = chars(pair[0]);
+        var b = chars(pair[1]);
+        add(a, b, pair[2]);
+        add(b, a, pair[2]);
+    }
+    return {
+        // multiple of subcost for substituting x with y, undefined if not in the table
+        cost: function (x, y) {
+            return single[x] ? single[x][y] : undefined;
+        },
+        // substitutions involving more than one character on either side, {from: [...], to: [...], cost}
+        multi: multi,
+        // most characters of a substitution can span
+        longest: longest
+    };
+}
+
+var last = { spec: null, table: null };
+
+// compiled table for options.substitutionCosts, the last one is kept since the same options get used for every choice
+module.exports = function table(spec) {
+    if (spec !== last.spec) {
+        last.table = compile(spec);
+        last.spec = spec;
+    }
+    return last.table;
+};
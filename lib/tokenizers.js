@@ -0,0 +1,115 @@
+// @ts-check
+// options.tokenizer, how the token scorers split a string into tokens
+// a function (str, options) => string[], or the name of one of the below
+
+var xre = require('./xregexp/index.js');
+
+function whitespace(str) {
+    return str.match(/\S+/g) || [];
+}
+
+var letter = xre('^\\pL$');
+var digit = xre('^\\pN$');
+var codePoint = /[\ud800-\udbff][\udc00-\udfff]|[\s\S]/g;
+
+// "u" uppercase letter, "l" any other letter, "n" number, "o" anything else
+function charClass(ch) {
+    if (letter.test(ch)) return ch.toLowerCase() !== ch ? "u" : "l";
+    return digit.test(ch) ? "n" : "o";
+}
+
+// split words between letters and digits and at camelCase boundaries
+// "LID2240W" -> ["LID", "2240", "W"], "parseXMLFile" -> ["parse", "XML", "File"]
+function alnumBoundary(str) {
+    var words = whitespace(str);
+    var tokens = [];
+    for (var w = 0; w < words.length; w++) {
+        var chars = words[w].match(codePoint) || [];
+        var classes = [];
+        for (var c = 0; c < chars.length; c++) classes.push(charClass(chars[c]));
+        var token = chars[0];
+        for (c = 1; c < chars.length; c++) {
+            var prev = classes[c - 1], cur = classes[c];
+            var isLetters = prev !== "n" && prev !== "o" && cur !== "n" && cur !== "o";
+            var boundary = isLetters ?
+                cur === "u" && (prev === "l" || classes[c + 1] === "l") :
+                prev !== cur && !(prev === "o" && cur === "o");
+            if (boundary) {
+                tokens.push(token);
+                token = "";
+            }
+            token += chars[c];
+        }
+        if (token) tokens.push(token);
+    }
+    return tokens;
+}
+
+// han, kana and hangul, including the supplementary ideographs
+var cjkRun = /(?:[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uac00-\ud7af]|[\ud840-\ud87e][\udc00-\udfff])+/g;
+
+// runs of CJK characters become overlapping pairs ("東京都" -> ["東京", "京都"]), everything else splits on whitespace
+function cjkBigram(str) {
+    var tokens = [];
+    var last = 0;
+    var match;
+    cjkRun.lastIndex = 0;
+    while ((match = cjkRun.exec(str)) !== null) {
+        tokens.push.apply(tokens, whitespace(str.slice(last, match.index)));
+        var chars = match[0].match(codePoint) || [];
+        if (chars.length === 1) tokens.push(chars[0]);
+        for (var c = 0; c + 1 < chars.length; c++) tokens.push(chars[c] + chars[c + 1]);
+        last = match.index + match[0].length;
+    }
+    tokens.push.apply(tokens, whitespace(str.slice(last)));
+    return tokens;
+}
+
+var segmenter = null;
+var segmenterWarn = false;
+
+// word segments from Intl.Segmenter, for languages written without spaces, whitespace if not supported
+function intlSegmenter(str) {
+    if (typeof Intl === "undefined" || typeof Intl.Segmenter !== "function") {
+        if (!segmenterWarn && typeof console !== undefined) console.warn("Intl.Segmenter not supported in your environment, splitting on whitespace");
+        segmenterWarn = true;
+        return whitespace(str);
+    }
+    if (!segmenter) segmenter = new Intl.Segmenter(undefined, { granularity: "word" });
+    var tokens = [];
+    var segments = segmenter.segment(str);
+    var iterator = segments[Symbol.iterator]();
+    for (var next = iterator.next(); !next.done; next = iterator.next()) {
+        if (next.value.isWordLike) tokens.push(next.value.segment);
+    }
+    return tokens;
+}
+
+var builtin = {
+    "whitespace": whitespace,
+    "alnum-boundary": alnumBoundary,
+    "cjk-bigram": cjkBigram,
+    "Intl.Segmenter": intlSegmenter
+};
+
+function isBuiltin(name) {
+    return typeof name === "string" && builtin.hasOwnProperty(name);
+}
+
+// tokens of str, split on whitespace unless options.tokenizer says otherwise
+function split(str, options) {
+    var tokenizer = options && options.tokenizer;
+    if (!tokenizer) return whitespace(str);
+    if (typeof tokenizer === "function") {
+        var tokens = tokenizer(str, options);
+        if (!Array.isArray(tokens)) throw new Error("Tokenizer should return an array of strings");
+        return tokens;
+    }
+    if (!isBuiltin(tokenizer)) throw new Error("Unknown tokenizer " + tokenizer + ", should be a function or one of " + Object.keys(builtin).join(", "));
+    return builtin[tokenizer](str);
+}
+
+module.exports = {
+    split: split,
+    isBuiltin: isBuiltin
+};
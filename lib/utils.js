@@ -1,9 +1,15 @@
-module.exports = function (_uniq, _uniqWith, _partialRight) {
+// _collators, _graphemes, _word_filters, _tokenizers, _globLeven and _iLeven are passed in so each build only loads what it uses,
+// without them lowercasing ignores the locale, tokens are split on whitespace and stopwords, synonyms, abbreviations and glob are ignored
+module.exports = function (_uniq, _uniqWith, _partialRight, _collators, _graphemes, _word_filters, _tokenizers, _globLeven, _iLeven) {
     var module = {};
 
     var xre = require('./xregexp/index.js');
     var wildLeven = require('./wildcardLeven.js');
     var leven = require('./leven.js');
+    var collators = _collators || {
+        enabled: function (options) { return !!(options && options.useCollator); },
+        lower: function (str) { return str.toLowerCase(); }
+    };
 
     function escapeRegExp(string) {
         return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); // from MDN
@@ -16,28 +22,58 @@ module.exports = function (_uniq, _uniqWith, _partialRight) {
 
     module.validate = validate;
 
-    module.process_and_sort = function process_and_sort(str) {
+    function split(str, options) {
+        if (_tokenizers) return _tokenizers.split(str, options);
+        return str.match(/\S+/g) || [];
+    }
+
+    module.process_and_sort = function process_and_sort(str, options) {
         if (!validate(str)) return "";
-        return str.match(/\S+/g).sort().join(" ").trim();
+        return split(str, options).sort().join(" ").trim();
     }
 
     module.tokenize = function unique_tokens(str, options) {
-        if (options && options.wildcards  && _uniqWith && _partialRight) {
-            var partWild = _partialRight(wildLeven, options, leven);
+        if (options && (options.wildcards || options.glob || collators.enabled(options)) && _uniqWith && _partialRight) {
+            var partWild;
+            if (options.glob && _globLeven) partWild = _partialRight(_globLeven, options, _graphemes ? _graphemes.units(options) : null);
+            else if (options.astral && _graphemes && _iLeven) partWild = _partialRight(_iLeven, options, _graphemes.units(options));
+            else partWild = _partialRight(wildLeven, options, leven);
             var wildCompare = function (a, b) { return partWild(a, b) === 0; }
-            return _uniqWith(str.match(/\S+/g), wildCompare);
+            return _uniqWith(split(str, options), wildCompare);
         } 
-        else return _uniq(str.match(/\S+/g));
+        else return _uniq(split(str, options));
     }
 
     var alphaNumUnicode = xre('[^\\pN|\\pL]', 'g');
     module.full_process = function full_process(str, options) {
         if (!(str instanceof String) && typeof str !== "string") return "";
         var processedtext;
+        if (options && typeof options === "object" && options.glob && _globLeven) {
+            // glob syntax is kept (lowercased), only the text in between gets cleaned up
+            var parts = _globLeven.segments(String(str));
+            processedtext = "";
+            for (var p = 0; p < parts.length; p++) {
+                processedtext += parts[p].glob ? collators.lower(parts[p].src, options) : process_text(parts[p].src, options);
+            }
+            processedtext = processedtext.trim();
+        }
+        else processedtext = process_text(str, options).trim();
+        if (options && options.collapseWhitespace) {
+            processedtext = processedtext.replace(/\s+/g, ' ');
+        }
+        if (_word_filters && options && typeof options === "object" && (options.abbreviations || options.synonyms || options.stopwords)) {
+            processedtext = _word_filters(processedtext, options);
+        }
+        return processedtext;
+    }
+
+    // full_process's character replacements, before trimming
+    function process_text(str, options) {
+        var processedtext;
 
         if (options && typeof options === "object" && options.wildcards && typeof options.wildcards === "string" && options.wildcards.length > 0) {
             var wildcards = options.wildcards.toLowerCase();
-            str = str.toLowerCase();
+            str = collators.lower(str, options);
             if (options.force_ascii) {
                 // replace non-ascii non-wildcards
                 var pattern = '[^\x00 -\x7F|' + escapeRegExp(wildcards) + ']';
@@ -55,7 +91,7 @@ module.exports = function (_uniq, _uniqWith, _partialRight) {
 
                 // wildcards are case insensitive as of now
                 // would need to make sure lower version of wildcards didnt get turned into wildcards
-                processedtext = str.trim();
+                processedtext = str;
             }
             else {
                 // replace non-alphanum non-wildcards
@@ -70,19 +106,16 @@ module.exports = function (_uniq, _uniqWith, _partialRight) {
 
                 // wildcards are case insensitive as of now
                 // would need to make sure lower version of wildcards didnt get turned into wildcards
-                processedtext = str.trim();
+                processedtext = str;
             }
         }
         else {
             // Non-ascii won't turn into whitespace if not force_ascii
             if (options && (options.force_ascii || options === true)) { //support old behavior just passing true
                 str = str.replace(/[^\x00-\x7F]/g, "");
-                processedtext = str.replace(/\W|_/g, ' ').toLowerCase().trim();
+                processedtext = collators.lower(str.replace(/\W|_/g, ' '), options);
             }
-            processedtext = xre.replace(str, alphaNumUnicode, ' ', 'all').toLowerCase().trim();
-        }
-        if (options && options.collapseWhitespace) {
-            processedtext = processedtext.replace(/\s+/g, ' ');
+            processedtext = collators.lower(xre.replace(str, alphaNumUnicode, ' ', 'all'), options);
         }
         return processedtext;
     }
@@ -102,11 +135,33 @@ module.exports = function (_uniq, _uniqWith, _partialRight) {
         if (!(typeof optclone.force_ascii !== 'undefined' && optclone.force_ascii === true)) optclone.force_ascii = false;
         // normalize option not used unless astral is true, so true + no astral = no normalize
         if (!(typeof optclone.normalize !== 'undefined' && optclone.normalize === false)) optclone.normalize = true;
+        // a locale or collatorOptions turns the collator on, unless it's explicitly turned off
+        if (collators.enabled(optclone)) optclone.useCollator = true;
+        // graphemes is astral mode with grapheme clusters as the characters
+        if (optclone.graphemes === true) optclone.astral = true;
         if (typeof optclone.astral !== 'undefined' && optclone.astral === true) optclone.full_process = false;
         if (!(typeof optclone.collapseWhitespace !== 'undefined' && optclone.collapseWhitespace === false)) optclone.collapseWhitespace = true;
         return optclone;
     }
 
+    // scorers that return the best of one or more ratios can give up on any ratio that can't beat the cutoff
+    module.setScoreCutoff = function(options) {
+        var name = options.scorer && options.scorer.name;
+        if (typeof options.cutoff === "number" && options.cutoff >= 0 && (
+            name === "QRatio" ||
+            name === "partial_ratio" ||
+            name === "token_set_ratio" ||
+            name === "partial_token_set_ratio" ||
+            name === "token_sort_ratio" ||
+            name === "partial_token_sort_ratio"
+        )) {
+            options.score_cutoff = options.cutoff;
+        }
+        else {
+            options.score_cutoff = undefined;
+        }
+    }
+
     module.isCustomFunc = function(func) {
         if (typeof func === "function" && (
             func.name === "token_set_ratio" ||
@@ -116,7 +171,12 @@ module.exports = function (_uniq, _uniqWith, _partialRight) {
             func.name === "QRatio" ||
             func.name === "WRatio" ||
             func.name === "distance" ||
-            func.name === "partial_ratio"
+            func.name === "partial_ratio" ||
+            func.name === "jaro" ||
+            func.name === "jaro_winkler" ||
+            func.name === "phonetic_ratio" ||
+            func.name === "fuzzy_token_set_ratio" ||
+            func.name === "idf_token_set_ratio"
         )) {
             return false;
         }
@@ -125,5 +185,7 @@ module.exports = function (_uniq, _uniqWith, _partialRight) {
         }
     }
 
+    module.abortError = require('./abort_error.js');
+
     return module;
 }
\ No newline at end of file
@@ -67,5 +67,7 @@ module.exports = function (_uniq) {
         }
     }
 
+    module.abortError = require('./abort_error.js');
+
     return module;
 }
\ No newline at end of file
@@ -2,21 +2,23 @@
 // levenshtein distance with wildcard support
 
 /** from https://github.com/hiddentao/fast-levenshtein slightly modified to double weight replacements as done by python-Levenshtein/fuzzywuzzy */
-var collator;
-try {
-    collator = (typeof Intl !== "undefined" && typeof Intl.Collator !== "undefined") ? Intl.Collator("generic", { sensitivity: "base" }) : null;
-} catch (err) {
-    if (typeof console !== undefined) console.warn("Collator could not be initialized and wouldn't be used");
-}
+var collators = require('./collator.js');
 
-module.exports = function leven(a, b, options, regLeven) {
+module.exports = function leven(a, b, options, regLeven, _damerau) {
     /** from https://github.com/sindresorhus/leven slightly modified to double weight replacements as done by python-Levenshtein/fuzzywuzzy */
     var arr = [];
     var charCodeCache = [];
-    var useCollator = (options && collator && options.useCollator);
+    var useCollator = !!collators.get(options);
+    var classId = collators.classifier(options);
     var subcost = 1;
     //to match behavior of python-Levenshtein and fuzzywuzzy, set to 2 in _ratio
     if (options && options.subcost && typeof options.subcost === "number") subcost = options.subcost;
+    // inscost, delcost, transpositions and substitutionCosts need lib/damerau.js, only passed in by the full build
+    var inscost = (_damerau && options && options.inscost && typeof options.inscost === "number") ? options.inscost : 1;
+    var delcost = (_damerau && options && options.delcost && typeof options.delcost === "number") ? options.delcost : 1;
+    // return maxDistance + 1 as soon as it's known the distance will be over it
+    var maxDistance = (options && typeof options.maxDistance === "number") ? options.maxDistance : Infinity;
+    var rowMin;
 
     if (a === b) {
         return 0;
@@ -25,12 +27,19 @@ module.exports = function leven(a, b, options, regLeven) {
     var aLen = a.length;
     var bLen = b.length;
 
-    if (aLen === 0) {
-        return bLen;
-    }
+    // substitutionCosts can also cover a length difference, e.g. "rn" for "m", lib/damerau.js checks lengths itself
+    if (!(_damerau && options && options.substitutionCosts)) {
+        if ((aLen > bLen ? (aLen - bLen) * delcost : (bLen - aLen) * inscost) > maxDistance) {
+            return maxDistance + 1;
+        }
+
+        if (aLen === 0) {
+            return bLen * inscost;
+        }
 
-    if (bLen === 0) {
-        return aLen;
+        if (bLen === 0) {
+            return aLen * delcost;
+        }
     }
 
     function escapeRegExp(string) {
@@ -54,46 +63,49 @@ module.exports = function leven(a, b, options, regLeven) {
             wildcode = wildchar.charCodeAt(0);
         }
 
+        if (_damerau && (options.transpositions || inscost !== 1 || delcost !== 1 || options.substitutionCosts)) {
+            return _damerau(a.split(""), b.split(""), options, function (x, y) {
+                return x === y || x === wildchar || y === wildchar || (classId !== null && classId(x) === classId(y));
+            });
+        }
+
         var bCharCode;
         var ret;
         var tmp;
         var tmp2;
         var i = 0;
         var j = 0;
+        // with the collator characters are compared by collation class rather than char code, wildcards get -1
+        var aCodes = null, bCodes = null;
+        if (useCollator) {
+            aCodes = collators.classIds(options, a);
+            bCodes = collators.classIds(options, b);
+            for (i = 0; i < aLen; i++) if (a.charCodeAt(i) === wildcode) aCodes[i] = -1;
+            for (j = 0; j < bLen; j++) if (b.charCodeAt(j) === wildcode) bCodes[j] = -1;
+            wildcode = -1;
+            i = j = 0;
+        }
 
         while (i < aLen) {
-            charCodeCache[i] = a.charCodeAt(i);
+            charCodeCache[i] = aCodes ? aCodes[i] : a.charCodeAt(i);
             arr[i] = ++i;
         }
-        if (!useCollator) {  //checking for collator inside while 2x slower
-            while (j < bLen) {
-                bCharCode = b.charCodeAt(j);
-                tmp = j++;
-                ret = j;
-                for (i = 0; i < aLen; i++) {
-                    tmp2 = bCharCode === charCodeCache[i] || bCharCode === wildcode || charCodeCache[i] === wildcode ? tmp : tmp + subcost;
-                    tmp = arr[i];
-                    ret = arr[i] = tmp > ret ? tmp2 > ret ? ret + 1 : tmp2 : tmp2 > tmp ? tmp + 1 : tmp2;
-                }
-            }
-        }
-        else {
-            while (j < bLen) {
-                bCharCode = b.charCodeAt(j);
-                tmp = j++;
-                ret = j;
-
-                for (i = 0; i < aLen; i++) {
-                    tmp2 = 0 === collator.compare(String.fromCharCode(bCharCode), String.fromCharCode(charCodeCache[i]))
-                        || bCharCode === wildcode || charCodeCache[i] === wildcode ? tmp : tmp + subcost;
-                    tmp = arr[i];
-                    ret = arr[i] = tmp > ret ? tmp2 > ret ? ret + 1 : tmp2 : tmp2 > tmp ? tmp + 1 : tmp2;
-                }
+        while (j < bLen) {
+            bCharCode = bCodes ? bCodes[j] : b.charCodeAt(j);
+            tmp = j++;
+            ret = j;
+            rowMin = ret;
+            for (i = 0; i < aLen; i++) {
+                tmp2 = bCharCode === charCodeCache[i] || bCharCode === wildcode || charCodeCache[i] === wildcode ? tmp : tmp + subcost;
+                tmp = arr[i];
+                ret = arr[i] = tmp > ret ? tmp2 > ret ? ret + 1 : tmp2 : tmp2 > tmp ? tmp + 1 : tmp2;
+                if (ret < rowMin) rowMin = ret;
             }
+            if (rowMin > maxDistance) return maxDistance + 1;
         }
-        return ret;
+        return ret > maxDistance ? maxDistance + 1 : ret;
     }
     else {
-        return regLeven(a, b, options)
+        return regLeven(a, b, options, _damerau)
     }
 }
\ No newline at end of file
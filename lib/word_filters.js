@@ -0,0 +1,106 @@
+// @ts-check
+// options.abbreviations, options.synonyms and options.stopwords, run at the end of full_process.
+// Each word is expanded by abbreviations, then mapped by synonyms, then stop words are dropped
+// (unless that would leave nothing). Lists are matched against already processed (lowercased) words.
+// Words keep the whitespace before them (a single space with collapseWhitespace, which runs first),
+// words from a replacement are separated by single spaces.
+
+var stopwordPresets = {
+    english: ["a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "in", "is", "it", "of", "on", "or", "the", "to", "with"],
+    company: ["a", "an", "and", "of", "the", "inc", "incorporated", "llc", "llp", "lp", "ltd", "limited", "corp", "corporation",
+        "co", "company", "plc", "gmbh", "ag", "sa", "bv", "nv", "pty", "pvt"]
+};
+
+var abbreviationPresets = {
+    address: {
+        st: "street", ave: "avenue", av: "avenue", rd: "road", blvd: "boulevard", dr: "drive", ln: "lane", ct: "court",
+        pl: "place", sq: "square", hwy: "highway", pkwy: "parkway", cir: "circle", ter: "terrace", trl: "trail", aly: "alley",
+        expy: "expressway", fwy: "freeway", jct: "junction", ctr: "center", hts: "heights", mt: "mount", ft: "fort",
+        apt: "apartment", ste: "suite", fl: "floor", bldg: "building", rm: "room",
+        n: "north", s: "south", e: "east", w: "west", ne: "northeast", nw: "northwest", se: "southeast", sw: "southwest"
+    },
+    company: {
+        intl: "international", inc: "incorporated", corp: "corporation", co: "company", ltd: "limited", mfg: "manufacturing",
+        bros: "brothers", assoc: "associates", assocs: "associates", assn: "association", natl: "national", dept: "department",
+        svc: "service", svcs: "services", grp: "group", hldgs: "holdings", mgmt: "management", tech: "technology",
+        inds: "industries", univ: "university", inst: "institute", dist: "distribution", sys: "systems"
+    }
+};
+
+var cache = { stopwords: { spec: null, table: null }, abbreviations: { spec: null, table: null }, synonyms: { spec: null, table: null } };
+
+function wordSet(spec) {
+    var words = typeof spec === "string" && stopwordPresets.hasOwnProperty(spec) ? stopwordPresets[spec] : spec;
+    if (!Array.isArray(words)) throw new Error("Invalid stopwords, should be \"english\", \"company\" or a list of words");
+    var set = Object.create(null);
+    for (var w = 0; w < words.length; w++) {
+        if (typeof words[w] !== "string") throw new Error("Invalid stopwords, should be \"english\", \"company\" or a list of words");
+        set[words[w].toLowerCase()] = true;
+    }
+    return set;
+}
+
+function wordMap(spec, name) {
+    var map = typeof spec === "string" && abbreviationPresets.hasOwnProperty(spec) ? abbreviationPresets[spec] : spec;
+    if (!map || typeof map !== "object" || Array.isArray(map)) {
+        throw new Error("Invalid " + name + ", should be \"address\", \"company\" or an object of {word: replacement}");
+    }
+    var table = Object.create(null);
+    var keys = Object.keys(map);
+    for (var k = 0; k < keys.length; k++) {
+        if (typeof map[keys[k]] !== "string") throw new Error("Invalid " + name + ", replacements should be strings");
+        table[keys[k].toLowerCase()] = map[keys[k]].toLowerCase();
+    }
+    return table;
+}
+
+// compiled list for an option, the last one is kept since the same options get used for every choice
+function compiled(name, spec) {
+    var last = cache[name];
+    if (spec !== last.spec) {
+        last.table = name === "stopwords" ? wordSet(spec) : wordMap(spec, name);
+        last.spec = spec;
+    }
+    return last.table;
+}
+
+// [{sep: whitespace before the word, word: string}, ...]
+function splitWords(str) {
+    var words = [];
+    var re = /(\s*)(\S+)/g;
+    var match;
+    while ((match = re.exec(str)) !== null) words.push({ sep: match[1], word: match[2] });
+    return words;
+}
+
+function replaceWords(words, map) {
+    var replaced = [];
+    for (var w = 0; w < words.length; w++) {
+        var replacement = map[words[w].word];
+        if (typeof replacement === "string") {
+            var parts = replacement.match(/\S+/g);
+            if (!parts) continue;
+            for (var p = 0; p < parts.length; p++) replaced.push({ sep: p === 0 ? words[w].sep : " ", word: parts[p] });
+        }
+        else replaced.push(words[w]);
+    }
+    return replaced;
+}
+
+module.exports = function word_filters(str, options) {
+    var words = splitWords(str);
+    if (!words.length) return str;
+    if (options.abbreviations) words = replaceWords(words, compiled("abbreviations", options.abbreviations));
+    if (options.synonyms) words = replaceWords(words, compiled("synonyms", options.synonyms));
+    if (options.stopwords) {
+        var stop = compiled("stopwords", options.stopwords);
+        var kept = [];
+        for (var w = 0; w < words.length; w++) {
+            if (!stop[words[w].word]) kept.push(words[w]);
+        }
+        if (kept.length) words = kept; // "The Company" shouldn't process to nothing
+    }
+    var joined = "";
+    for (var j = 0; j < words.length; j++) joined += (j === 0 ? "" : words[j].sep) + words[j].word;
+    return joined;
+};
@@ -10,15 +10,17 @@
     var _wildLeven = require('../lib/wildcardLeven.js');
     var _leven = require('../lib/leven.js');
     var _jsleven = require('../lib/jsleven');
+    var _collators = require('../lib/collator.js');
     if (typeof setImmediate !== 'function') require('setimmediate'); // didn't run in tiny-worker without extra check
 
-    var utils = require('../lib/utils.js')(_uniq);
+    var utils = require('../lib/utils.js')(_uniq, null, null, _collators);
     var _validate = utils.validate;
     var process_and_sort = utils.process_and_sort;
     var tokenize = utils.tokenize;
     var full_process = utils.full_process;
     var _clone_and_set_option_defaults = utils.clone_and_set_option_defaults;
     var _isCustomFunc = utils.isCustomFunc;
+    var _abortError = utils.abortError;
 
     // isArray polyfill
     if (typeof Array.isArray === 'undefined') {
@@ -44,6 +46,8 @@
          * @param {string} str2 - the second string.
          * @param {Object} [options_p] - Additional options.
          * @param {boolean} [options_p.useCollator] - Use `Intl.Collator` for locale-sensitive string comparison.
+         * @param {string} [options_p.locale] - locale for the collator (default "generic") and the lowercasing in full_process, sets useCollator unless it's false
+         * @param {Object} [options_p.collatorOptions] - Intl.Collator options e.g. sensitivity (default "base"), ignorePunctuation, numeric
          * @param {boolean} [options_p.full_process] - Apply basic cleanup, non-alphanumeric to whitespace etc. if true. default true
          * @param {boolean} [options_p.force_ascii] - Strip non-ascii in full_process if true (non-ascii will not become whtespace), only applied if full_process is true as well, default true
          * @param {boolean} [options_p.collapseWhitespace] - Collapse consecutive white space during full_process, default true
@@ -68,6 +72,8 @@
          * @param {string} str2 - the second string.
          * @param {Object} [options_p] - Additional options.
          * @param {boolean} [options_p.useCollator] - Use `Intl.Collator` for locale-sensitive string comparison.
+         * @param {string} [options_p.locale] - locale for the collator (default "generic") and the lowercasing in full_process, sets useCollator unless it's false
+         * @param {Object} [options_p.collatorOptions] - Intl.Collator options e.g. sensitivity (default "base"), ignorePunctuation, numeric
          * @param {boolean} [options_p.full_process] - Apply basic cleanup, non-alphanumeric to whitespace etc. if true. default true
          * @param {boolean} [options_p.force_ascii] - Strip non-ascii in full_process if true (non-ascii will not become whtespace), only applied if full_process is true as well, default true
          * @param {boolean} [options_p.collapseWhitespace] - Collapse consecutive white space during full_process, default true
@@ -92,6 +98,8 @@
          * @param {string} str2 - the second string.
          * @param {Object} [options_p] - Additional options.
          * @param {boolean} [options_p.useCollator] - Use `Intl.Collator` for locale-sensitive string comparison.
+         * @param {string} [options_p.locale] - locale for the collator (default "generic") and the lowercasing in full_process, sets useCollator unless it's false
+         * @param {Object} [options_p.collatorOptions] - Intl.Collator options e.g. sensitivity (default "base"), ignorePunctuation, numeric
          * @param {boolean} [options_p.full_process] - Apply basic cleanup, non-alphanumeric to whitespace etc. if true. default true
          * @param {boolean} [options_p.force_ascii] - Strip non-ascii in full_process if true (non-ascii will not become whtespace), only applied if full_process is true as well, default true
          * @param {number} [options_p.subcost] - Substitution cost, default 1 for distance, 2 for all ratios
@@ -115,6 +123,8 @@
          * @param {string} str2 - the second string.
          * @param {Object} [options_p] - Additional options.
          * @param {boolean} [options_p.useCollator] - Use `Intl.Collator` for locale-sensitive string comparison.
+         * @param {string} [options_p.locale] - locale for the collator (default "generic") and the lowercasing in full_process, sets useCollator unless it's false
+         * @param {Object} [options_p.collatorOptions] - Intl.Collator options e.g. sensitivity (default "base"), ignorePunctuation, numeric
          * @param {boolean} [options_p.full_process] - Apply basic cleanup, non-alphanumeric to whitespace etc. if true. default true
          * @param {boolean} [options_p.force_ascii] - Strip non-ascii in full_process if true (non-ascii will not become whtespace), only applied if full_process is true as well, default true
          * @param {number} [options_p.subcost] - Substitution cost, default 1 for distance, 2 for all ratios
@@ -127,8 +137,8 @@
         if (!_validate(str1)) return 0;
         if (!_validate(str2)) return 0;
         if (!options.proc_sorted) {
-            str1 = process_and_sort(str1);
-            str2 = process_and_sort(str2);
+            str1 = process_and_sort(str1, options);
+            str2 = process_and_sort(str2, options);
         }
         return _ratio(str1, str2, options);
     }
@@ -145,6 +155,8 @@
          * @param {number} [options_p.limit] - optional max number of results to return, returns all if not supplied
          * @param {number} [options_p.cutoff] - minimum score that will get returned 0-100
          * @param {boolean} [options_p.useCollator] - Use `Intl.Collator` for locale-sensitive string comparison.
+         * @param {string} [options_p.locale] - locale for the collator (default "generic") and the lowercasing in full_process, sets useCollator unless it's false
+         * @param {Object} [options_p.collatorOptions] - Intl.Collator options e.g. sensitivity (default "base"), ignorePunctuation, numeric
          * @param {boolean} [options_p.astral] - use iLeven for scoring to properly handle astral symbols
          * @param {boolean} [options_p.full_process] - Apply basic cleanup, non-alphanumeric to whitespace etc. if true. default true
          * @param {boolean} [options_p.force_ascii] - Strip non-ascii in full_process if true (non-ascii will not become whtespace), only applied if full_process is true as well, default false
@@ -209,11 +221,11 @@
         var tsort = false;
         var tset = false;
         if (options.scorer.name === "token_sort_ratio" || options.scorer.name === "partial_token_sort_ratio") {
-            var proc_sorted_query = process_and_sort(query);
+            var proc_sorted_query = process_and_sort(query, options);
             tsort = true;
         }
         else if (options.scorer.name === "token_set_ratio" || options.scorer.name === "partial_token_set_ratio") {
-            var query_tokens = tokenize(query);
+            var query_tokens = tokenize(query, options);
             tset = true;
         }
         var idx, mychoice, result, cmpHeap, cmpSort;
@@ -234,7 +246,7 @@
                     if (choices[c] && choices[c].proc_sorted) mychoice = choices[c].proc_sorted;
                     else {
                         mychoice = pre_processor(options.processor(choices[c]), options);
-                        mychoice = process_and_sort(normalize ? mychoice.normalize() : mychoice);
+                        mychoice = process_and_sort(normalize ? mychoice.normalize() : mychoice, options);
                     }
                     result = options.scorer(proc_sorted_query, mychoice, options);
                 }
@@ -246,7 +258,7 @@
                     }
                     else {
                         mychoice = pre_processor(options.processor(choices[c]), options);
-                        options.tokens = [query_tokens, tokenize(normalize ? mychoice.normalize() : mychoice)]
+                        options.tokens = [query_tokens, tokenize(normalize ? mychoice.normalize() : mychoice, options)]
                     }
                     //query and mychoice only used for validation here unless trySimple = true
                     result = options.scorer(query, mychoice, options);
@@ -292,6 +304,8 @@
          * @param {number} [options_p.limit] - optional max number of results to return, returns all if not supplied
          * @param {number} [options_p.cutoff] - minimum score that will get returned 0-100
          * @param {boolean} [options_p.useCollator] - Use `Intl.Collator` for locale-sensitive string comparison.
+         * @param {string} [options_p.locale] - locale for the collator (default "generic") and the lowercasing in full_process, sets useCollator unless it's false
+         * @param {Object} [options_p.collatorOptions] - Intl.Collator options e.g. sensitivity (default "base"), ignorePunctuation, numeric
          * @param {boolean} [options_p.astral] - use iLeven for scoring to properly handle astral symbols
          * @param {boolean} [options_p.full_process] - Apply basic cleanup, non-alphanumeric to whitespace etc. if true. default true
          * @param {boolean} [options_p.force_ascii] - Strip non-ascii in full_process if true (non-ascii will not become whtespace), only applied if full_process is true as well, default false
@@ -300,6 +314,9 @@
          * @param {number} [options_p.subcost] - Substitution cost, default 1 for distance, 2 for all ratios
          * @param {string} [options_p.wildcards] - characters that will be used as wildcards if provided
          * @param {boolean} [options_p.returnObjects] - return array of object instead of array of tuples; default false
+         * @param {function} [options_p.onProgress] - called with (processed, total) each time the scan yields and when it finishes
+         * @param {number} [options_p.timeSlice] - score as many choices as fit in this many ms before yielding, default yields after every choice
+         * @param {AbortSignal} [options_p.signal] - stop the scan on the next tick and call back with an AbortError once aborted
          * @param {function} callback - node style callback (err, arrayOfResults)
          */
         var options = _clone_and_set_option_defaults(options_p);
@@ -360,11 +377,11 @@
         var tsort = false;
         var tset = false;
         if (options.scorer.name === "token_sort_ratio" || options.scorer.name === "partial_token_sort_ratio") {
-            var proc_sorted_query = process_and_sort(query);
+            var proc_sorted_query = process_and_sort(query, options);
             tsort = true;
         }
         else if (options.scorer.name === "token_set_ratio" || options.scorer.name === "partial_token_set_ratio") {
-            var query_tokens = tokenize(query);
+            var query_tokens = tokenize(query, options);
             tset = true;
         }
         var idx, mychoice, result, cmpHeap, cmpSort;
@@ -377,67 +394,78 @@
             cmpSort = function (a, b) { return b[1] - a[1]; };
         }
         var keys = Object.keys(choices);
+        var processed = 0;
         isArray ? searchLoop(0) : searchLoop(keys[0], 0);
         function searchLoop (c, i) {
-            if (isArray || choices.hasOwnProperty(c)) {
-                options.tokens = undefined;
-                options.proc_sorted = false;
-                if (tsort) {
-                    options.proc_sorted = true;
-                    if (choices[c].proc_sorted) mychoice = choices[c].proc_sorted;
-                    else {
-                        mychoice = pre_processor(options.processor(choices[c]), options);
-                        mychoice = process_and_sort(normalize ? mychoice.normalize() : mychoice);
+            if (options.signal && options.signal.aborted) {
+                callback(_abortError(options.signal));
+                return;
+            }
+            var sliceStart = options.timeSlice ? Date.now() : 0;
+            for (;;) {
+                if (isArray || choices.hasOwnProperty(c)) {
+                    options.tokens = undefined;
+                    options.proc_sorted = false;
+                    if (tsort) {
+                        options.proc_sorted = true;
+                        if (choices[c].proc_sorted) mychoice = choices[c].proc_sorted;
+                        else {
+                            mychoice = pre_processor(options.processor(choices[c]), options);
+                            mychoice = process_and_sort(normalize ? mychoice.normalize() : mychoice, options);
+                        }
+                        result = options.scorer(proc_sorted_query, mychoice, options);
                     }
-                    result = options.scorer(proc_sorted_query, mychoice, options);
-                }
-                else if (tset) {
-                    mychoice = "x"; //dummy string so it validates
-                    if (choices[c].tokens) {
-                        options.tokens = [query_tokens, choices[c].tokens];
-                        if (options.trySimple) mychoice = pre_processor(options.processor(choices[c]), options);
+                    else if (tset) {
+                        mychoice = "x"; //dummy string so it validates
+                        if (choices[c].tokens) {
+                            options.tokens = [query_tokens, choices[c].tokens];
+                            if (options.trySimple) mychoice = pre_processor(options.processor(choices[c]), options);
+                        }
+                        else {
+                            mychoice = pre_processor(options.processor(choices[c]), options);
+                            options.tokens = [query_tokens, tokenize(normalize ? mychoice.normalize() : mychoice, options)]
+                        }
+                        //query and mychoice only used for validation here unless trySimple = true
+                        result = options.scorer(query, mychoice, options);
+                    }
+                    else if (isCustom) {
+                        // options.full_process should be unmodified, don't pre-process here since mychoice maybe not string
+                        mychoice = options.processor(choices[c]);
+                        result = options.scorer(query, mychoice, options);
                     }
                     else {
                         mychoice = pre_processor(options.processor(choices[c]), options);
-                        options.tokens = [query_tokens, tokenize(normalize ? mychoice.normalize() : mychoice)]
+                        if (typeof mychoice !== "string" || mychoice.length === 0) anyblank = true;
+                        if (normalize && typeof mychoice === "string") mychoice = mychoice.normalize();
+                        result = options.scorer(query, mychoice, options);
+                    }
+                    if (isArray) idx = parseInt(c);
+                    else idx = c;
+                    if (result > options.cutoff) {
+                        if (options.returnObjects) results.push({ choice: choices[c], score: result, key: idx });
+                        else results.push([choices[c], result, idx]);;
                     }
-                    //query and mychoice only used for validation here unless trySimple = true
-                    result = options.scorer(query, mychoice, options);
-                }
-                else if (isCustom) {
-                    // options.full_process should be unmodified, don't pre-process here since mychoice maybe not string
-                    mychoice = options.processor(choices[c]);
-                    result = options.scorer(query, mychoice, options);
-                }
-                else {
-                    mychoice = pre_processor(options.processor(choices[c]), options);
-                    if (typeof mychoice !== "string" || mychoice.length === 0) anyblank = true;
-                    if (normalize && typeof mychoice === "string") mychoice = mychoice.normalize();
-                    result = options.scorer(query, mychoice, options);
                 }
-                if (isArray) idx = parseInt(c);
-                else idx = c;
-                if (result > options.cutoff) {
-                    if (options.returnObjects) results.push({ choice: choices[c], score: result, key: idx });
-                    else results.push([choices[c], result, idx]);;
+                processed++;
+                if (isArray && c < choices.length - 1) c++;
+                else if (!isArray && i < keys.length - 1) c = keys[++i];
+                else break;
+                // without timeSlice yield after every choice
+                if (!options.timeSlice || Date.now() - sliceStart >= options.timeSlice) {
+                    if (options.onProgress) options.onProgress(processed, numchoices);
+                    setImmediate(function () { searchLoop(c, i) });
+                    return;
                 }
             }
-            if (isArray && c < choices.length - 1) {
-                setImmediate(function () { searchLoop(c + 1) })
-            }
-            else if (i < keys.length - 1) {
-                setImmediate(function () { searchLoop(keys[i + 1], i + 1) });
+            if (options.onProgress) options.onProgress(processed, numchoices);
+            if (anyblank) if (typeof console !== undefined) console.log("One or more choices were empty. (post-processing if applied)")
+            if (options.limit && typeof options.limit === "number" && options.limit > 0 && options.limit < numchoices && !options.unsorted) {
+                results = Heap.nlargest(results, options.limit, cmpHeap);
             }
-            else {
-                if (anyblank) if (typeof console !== undefined) console.log("One or more choices were empty. (post-processing if applied)")
-                if (options.limit && typeof options.limit === "number" && options.limit > 0 && options.limit < numchoices && !options.unsorted) {
-                    results = Heap.nlargest(results, options.limit, cmpHeap);
-                }
-                else if (!options.unsorted) {
-                    results = results.sort(cmpSort);
-                }
-                callback(null, results);
+            else if (!options.unsorted) {
+                results = results.sort(cmpSort);
             }
+            callback(null, results);
         }
     }
 
@@ -446,8 +474,8 @@
     function _token_set(str1, str2, options) {
 
         if (!options.tokens) {
-            var tokens1 = tokenize(str1);
-            var tokens2 = tokenize(str2);
+            var tokens1 = tokenize(str1, options);
+            var tokens2 = tokenize(str2, options);
         }
         else {
             var tokens1 = options.tokens[0];
@@ -740,3 +740,929 @@ describe('collapse whitespace', function () {
         assert.notEqual(100, fuzz.ratio('x y', 'x     y', { collapseWhitespace: false }));
     });
 });
+
+describe('createIndex', function () {
+    var choices = ["Hood, Harry", "Mr. Minor", "Mr. Henry Hood", "harry hoodie", "", "polar bear"];
+    var query = "mr. harry hood";
+    var idxscorers = [fuzz.ratio, fuzz.partial_ratio, fuzz.token_set_ratio, fuzz.token_sort_ratio, fuzz.partial_token_set_ratio, fuzz.partial_token_sort_ratio, fuzz.WRatio];
+    it('should give the same results as extract for each scorer', function () {
+        var index = fuzz.createIndex(choices);
+        for (var s = 0; s < idxscorers.length; s++) {
+            var options = { scorer: idxscorers[s] };
+            assert.deepEqual(index.extract(query, options), fuzz.extract(query, choices, options));
+        }
+    });
+    it('should respect cutoff, limit and returnObjects', function () {
+        var index = fuzz.createIndex(choices);
+        var options = { scorer: fuzz.token_set_ratio, cutoff: 50, limit: 2, returnObjects: true };
+        var results = index.extract(query, options);
+        assert.equal(results.length, 2);
+        assert.deepEqual(results, fuzz.extract(query, choices, options));
+    });
+    it('should use the processor and keys of an object of choices', function () {
+        var objchoices = { a: { model: "123abc" }, b: { model: "123efg" }, c: { model: "456abdzx" } };
+        var index = fuzz.createIndex(objchoices, { processor: function (choice) { return choice.model; } });
+        var results = index.extract("126abzx", { scorer: fuzz.partial_ratio, limit: 2 });
+        assert.equal(results[0][2], 'c');
+        assert.equal(results[0][0], objchoices.c);
+        assert.equal(results[1][2], 'a');
+    });
+    it('should keep astral and wildcard options from when the index was built', function () {
+        var index = fuzz.createIndex(["polar bear mañana", "fuXxball"], { astral: true });
+        assert.equal(index.extract("polar bear mañana", { astral: false })[0][1], 100);
+        index = fuzz.createIndex(["fuXxball"], { wildcards: "*x" });
+        assert.equal(index.extract("fuzzba*l")[0][1], 100);
+    });
+    it('should give the same results as extractAsync', function (done) {
+        var index = fuzz.createIndex(choices);
+        var options = { scorer: fuzz.token_sort_ratio, cutoff: 30 };
+        index.extractAsync(query, options, function (err, results) {
+            assert.deepEqual(results, fuzz.extract(query, choices, options));
+            done();
+        });
+    });
+    it('should return error from extractAsync with invalid scorer', function (done) {
+        var index = fuzz.createIndex(choices);
+        index.extractAsync(query, { scorer: "nope" }, function (err, results) {
+            assert.equal(err.message, "Invalid Scorer");
+            done();
+        });
+    });
+});
+
+describe('loadIndex', function () {
+    var choices = { a: "Hood, Harry", b: "Mr. Minor", c: "Mr. Henry Hood", d: "fuzzy fuzzy was a bear" };
+    var query = "mr. harry hood";
+    it('should give the same results after a JSON round trip', function () {
+        var index = fuzz.createIndex(choices);
+        var loaded = fuzz.loadIndex(JSON.stringify(index));
+        var idxscorers = [fuzz.ratio, fuzz.token_set_ratio, fuzz.token_sort_ratio, fuzz.WRatio];
+        for (var s = 0; s < idxscorers.length; s++) {
+            var options = { scorer: idxscorers[s], returnObjects: true };
+            assert.deepEqual(loaded.extract(query, options), index.extract(query, options));
+        }
+        assert.equal(loaded.size, 4);
+    });
+    it('should load from the object returned by toJSON', function () {
+        var index = fuzz.createIndex(["fuXxball", "polar bear"], { wildcards: "*x" });
+        var loaded = fuzz.loadIndex(index.toJSON(), { wildcards: "*x" });
+        assert.equal(loaded.extract("fuzzba*l")[0][1], 100);
+    });
+    it('should refuse to load with incompatible options', function () {
+        var serialized = JSON.stringify(fuzz.createIndex(choices, { astral: true }));
+        assert.throws(function () { fuzz.loadIndex(serialized, { astral: false }); }, /incompatible options: astral/);
+        serialized = JSON.stringify(fuzz.createIndex(choices));
+        assert.throws(function () { fuzz.loadIndex(serialized, { force_ascii: true, wildcards: "*" }); }, /incompatible options: force_ascii, wildcards/);
+    });
+    it('should keep the blocking options unless given new ones', function () {
+        var index = fuzz.createIndex(choices, { blocking: true, ngram_size: 2 });
+        var options = { scorer: fuzz.token_set_ratio, cutoff: 80 };
+        var loaded = fuzz.loadIndex(JSON.stringify(index));
+        assert.deepEqual(loaded.extract(query, options), index.extract(query, options));
+        assert.equal(loaded.toJSON().options.blocking, true);
+        assert.equal(loaded.toJSON().options.ngram_size, 2);
+        loaded = fuzz.loadIndex(JSON.stringify(index), { blocking: false });
+        assert.equal(loaded.toJSON().options.blocking, false);
+        assert.equal(loaded.toJSON().options.ngram_size, 2);
+        assert.throws(function () { fuzz.loadIndex(index.toJSON(), { processor: "name" }); }, /Invalid Processor/);
+    });
+    it('should need a tokenizer function passed again', function () {
+        var split = function (str) { return str.split("-"); };
+        var index = fuzz.createIndex(["polar-bear", "brown-bear"], { tokenizer: split, full_process: false });
+        var options = { scorer: fuzz.token_sort_ratio, full_process: false };
+        var saved = JSON.stringify(index);
+        assert.throws(function () { fuzz.loadIndex(saved); }, /tokenizer function/);
+        assert.throws(function () { fuzz.loadIndex(saved, { tokenizer: "whitespace" }); }, /incompatible options: tokenizer/);
+        assert.deepEqual(fuzz.loadIndex(saved, { tokenizer: split }).extract("bear-polar", options), index.extract("bear-polar", options));
+        assert.throws(function () { fuzz.loadIndex(JSON.stringify(fuzz.createIndex(["a"])), { tokenizer: split }); }, /incompatible options: tokenizer/);
+    });
+    it('should refuse to load an unknown version', function () {
+        var data = fuzz.createIndex(choices).toJSON();
+        data.version = 0;
+        assert.throws(function () { fuzz.loadIndex(data); }, /Unsupported index version/);
+    });
+});
+
+describe('blocking', function () {
+    var words = ["acme", "corp", "inc", "widget", "blue", "north", "bear", "polar", "koala", "harry", "hood", "henry", "abc", "abd"];
+    var choices = [];
+    for (var i = 0; i < words.length; i++) {
+        for (var j = 0; j < words.length; j++) {
+            choices.push(words[i] + " " + words[j]);
+            choices.push(words[i].slice(1) + "x " + words[j]);
+        }
+    }
+    var queries = ["polar bear", "nqrth", "harry hood inc", "acme", "bear polar widget"];
+    var blockscorers = [fuzz.ratio, fuzz.token_sort_ratio, fuzz.token_set_ratio, fuzz.partial_ratio];
+    it('should give the same results as without blocking', function () {
+        var index = fuzz.createIndex(choices, { blocking: true });
+        var index2 = fuzz.createIndex(choices, { blocking: true, ngram_size: 2 });
+        [0, 50, 70, 85, 90, 99.5].forEach(function (cutoff) {
+            for (var q = 0; q < queries.length; q++) {
+                for (var s = 0; s < blockscorers.length; s++) {
+                    var options = { scorer: blockscorers[s], cutoff: cutoff, trySimple: q % 2 === 0 };
+                    var expected = fuzz.extract(queries[q], choices, options);
+                    assert.deepEqual(index.extract(queries[q], options), expected);
+                    assert.deepEqual(index2.extract(queries[q], options), expected);
+                }
+            }
+        });
+    });
+    it('should give the same results in extract and dedupe with options.blocking', function () {
+        var options = { scorer: fuzz.token_set_ratio, cutoff: 80, limit: 5, returnObjects: true };
+        var expected = fuzz.extract("harry hood inc", choices, options);
+        options.blocking = true;
+        assert.deepEqual(fuzz.extract("harry hood inc", choices, options), expected);
+        var contains_dupes = ['fuzzy wuzzy', 'fuzzy wuzz', 'not a dupe', 'nolan rules', 'nolan rulez'];
+        assert.deepEqual(fuzz.dedupe(contains_dupes, { cutoff: 85, blocking: true }), fuzz.dedupe(contains_dupes, { cutoff: 85 }));
+    });
+    it('should give the same results in extractAsync with options.blocking', function (done) {
+        var options = { scorer: fuzz.ratio, cutoff: 70 };
+        var expected = fuzz.extract("polar bear", choices, options);
+        options.blocking = true;
+        fuzz.extractAsync("polar bear", choices, options, function (err, results) {
+            assert.deepEqual(results, expected);
+            done();
+        });
+    });
+});
+
+describe('cutoff early exit', function () {
+    it('should return maxDistance + 1 from distance once exceeded', function () {
+        assert.equal(fuzz.distance("fuzzy was a bear", "fozzy was a bear", { maxDistance: 1 }), 1);
+        assert.equal(fuzz.distance("fuzzy was a bear", "fozzy waz a bare", { maxDistance: 2 }), 3);
+        assert.equal(fuzz.distance("fuzzy", "fuzzy was a bear", { maxDistance: 4 }), 5);
+        assert.equal(fuzz.distance("fuzzy was a bear", "fozzy waz a bare", { maxDistance: 2, wildcards: "*" }), 3);
+        assert.equal(fuzz.distance("f*zzy was a bear", "fozzy was a bear", { maxDistance: 0, wildcards: "*" }), 0);
+        assert.equal(fuzz.distance("ab🐴cdef", "xy🐴zzzz", { maxDistance: 1, astral: true }), 2);
+        assert.equal(fuzz.distance("ab🐴cdef", "ab🐴cdeg", { maxDistance: 1, astral: true }), 1);
+    });
+    it('should return 0 from ratio only when the score is no higher than score_cutoff', function () {
+        assert.equal(fuzz.ratio("this is a test", "this is a test!", { score_cutoff: 99 }), 100);
+        assert.equal(fuzz.ratio("hello world", "hiyyo wyrld", { score_cutoff: 64 }), 0);
+        assert.equal(fuzz.ratio("hello world", "hiyyo wyrld", { score_cutoff: 63.5 }), 64);
+        assert.equal(fuzz.ratio("test", "testing and more", { score_cutoff: 50 }), 0);
+        assert.equal(fuzz.partial_ratio("test", "testing and more", { score_cutoff: 50 }), 100);
+    });
+    it('should not change extract or dedupe results', function () {
+        var choices = ["polar bear", "brown bear", "koala bear", "polar bearz", "bear", "polar", "a polar bear cub", "p0lar b3ar"];
+        var cutscorers = [fuzz.ratio, fuzz.partial_ratio, fuzz.token_set_ratio, fuzz.token_sort_ratio, fuzz.partial_token_set_ratio, fuzz.partial_token_sort_ratio, fuzz.WRatio];
+        [{}, { wildcards: "3" }, { astral: true }, { useCollator: true }].forEach(function (extra) {
+            for (var s = 0; s < cutscorers.length; s++) {
+                [0, 60, 80, 89.5, 95].forEach(function (cutoff) {
+                    var options = { scorer: cutscorers[s], cutoff: cutoff };
+                    for (var e in extra) options[e] = extra[e];
+                    var all = fuzz.extract("polar bear", choices, { scorer: cutscorers[s], wildcards: extra.wildcards, astral: extra.astral, useCollator: extra.useCollator });
+                    var expected = all.filter(function (result) { return result[1] > cutoff; });
+                    assert.deepEqual(fuzz.extract("polar bear", choices, options), expected);
+                });
+            }
+        });
+        assert.equal(fuzz.dedupe(["polar bear", "polar bearz", "koala bear", "koala bearz"], { cutoff: 90 }).length, 2);
+    });
+});
+
+describe('extractParallel', function () {
+    this.timeout(10000);
+    var choices = ["polar bear", "brown bear", "koala bear", "polar bearz", "bear", "polar", "a polar bear cub", "p0lar b3ar", "grizzly", "bear polar"];
+    it('should return the same results as extract', function () {
+        var expected = fuzz.extract("polar bear", choices, { scorer: fuzz.token_set_ratio, limit: 4 });
+        return fuzz.extractParallel("polar bear", choices, { scorer: "token_set_ratio", limit: 4, workers: 3 }).then(function (results) {
+            assert.deepEqual(results.map(function (r) { return r[1]; }), expected.map(function (r) { return r[1]; }));
+            assert.deepEqual(results[0], expected[0]);
+        });
+    });
+    it('should map keys back to the original choices', function () {
+        var obj = {};
+        for (var i = 0; i < choices.length; i++) obj["id" + i] = { name: choices[i] };
+        var expected = fuzz.extract("polar bear", obj, { processor: function (x) { return x.name; }, cutoff: 70, returnObjects: true });
+        return fuzz.extractParallel("polar bear", obj, { scorer: fuzz.ratio, processor: function (x) { return x.name; }, cutoff: 70, returnObjects: true, workers: 2 }).then(function (results) {
+            assert.deepEqual(results, expected);
+        });
+    });
+    it('should default to the same scorer as extract', function () {
+        var expected = fuzz.extract("polar bear", choices, { scorer: fuzz.ratio, limit: 4 });
+        return fuzz.extractParallel("polar bear", choices, { limit: 4, workers: 2 }).then(function (results) {
+            assert.deepEqual(results, expected);
+            return fuzz.extractParallel("polar bear", [], {});
+        }).then(function (results) {
+            assert.deepEqual(results, []);
+        });
+    });
+    it('should reject scorers that are not fuzzball\'s', function () {
+        return fuzz.extractParallel("polar bear", choices, { scorer: function (a, b) { return 100; } }).then(function () {
+            assert.fail("should have rejected");
+        }, function (err) {
+            assert.ok(/scorers/.test(err.message));
+        });
+    });
+});
+
+describe('extractAsync promise and extractStream', function () {
+    var choices = ["polar bear", "brown bear", "koala bear", "grizzly", "bear polar"];
+    it('should return a promise from extractAsync if no callback is given', function () {
+        return fuzz.extractAsync("polar bear", choices, { scorer: fuzz.ratio, limit: 2 }).then(function (results) {
+            assert.deepEqual(results, fuzz.extract("polar bear", choices, { scorer: fuzz.ratio, limit: 2 }));
+            return fuzz.extractAsync("polar bear", 5, {});
+        }).then(function () {
+            assert.fail("should have rejected");
+        }, function (err) {
+            assert.equal(err.message, "Invalid choices");
+        });
+    });
+    it('should yield matches above the cutoff as they are found', function () {
+        var stream = fuzz.extractStream("polar bear", choices, { scorer: fuzz.ratio, cutoff: 50 });
+        var found = [];
+        function collect() {
+            return stream.next().then(function (item) {
+                if (item.done) return found;
+                found.push(item.value);
+                return collect();
+            });
+        }
+        return collect().then(function (results) {
+            assert.deepEqual(results, [["polar bear", 100, 0], ["brown bear", 60, 1], ["koala bear", 80, 2]]);
+            assert.equal(typeof stream[Symbol.asyncIterator], "function");
+        });
+    });
+    it('should yield the top results in order with a limit', function () {
+        var stream = fuzz.extractStream("polar bear", choices, { scorer: fuzz.ratio, limit: 2, blocking: true });
+        return stream.next().then(function (first) {
+            assert.deepEqual(first.value, ["polar bear", 100, 0]);
+            return stream.next();
+        }).then(function (second) {
+            assert.deepEqual(second.value, ["koala bear", 80, 2]);
+            return stream.next();
+        }).then(function (last) {
+            assert.ok(last.done);
+        });
+    });
+});
+
+describe('extractAsync abort signal', function () {
+    var choices = ["polar bear", "brown bear", "koala bear", "grizzly", "bear polar", "polar bearz"];
+    [["full", fuzz], ["lite", fuzzlite], ["ultra_lite", fuzzultra]].forEach(function (bundle) {
+        it('should stop the scan and call back with an AbortError ' + bundle[0], function (done) {
+            var controller = new AbortController();
+            var scored = 0;
+            var scorer = function (a, b) { scored++; return 100; };
+            bundle[1].extractAsync("polar bear", choices, { scorer: scorer, signal: controller.signal }, function (err, results) {
+                assert.equal(err.name, "AbortError");
+                assert.equal(results, undefined);
+                assert.equal(scored, 1);
+                done();
+            });
+            controller.abort();
+        });
+    });
+    it('should not start if already aborted', function (done) {
+        var controller = new AbortController();
+        controller.abort();
+        fuzz.extractAsync("polar bear", choices, { scorer: fuzz.ratio, signal: controller.signal, blocking: true, cutoff: 50 }, function (err) {
+            assert.equal(err.name, "AbortError");
+            done();
+        });
+    });
+    it('should stop extractStream when breaking out early', function () {
+        var stream = fuzz.extractStream("polar bear", choices, { scorer: fuzz.ratio });
+        return stream.next().then(function (first) {
+            assert.deepEqual(first.value, ["polar bear", 100, 0]);
+            return stream["return"]();
+        }).then(function (last) {
+            assert.ok(last.done);
+            return stream.next();
+        }).then(function (after) {
+            assert.ok(after.done);
+        });
+    });
+});
+
+describe('extractAsync progress and time slices', function () {
+    var choices = ["polar bear", "brown bear", "koala bear", "grizzly", "bear polar", "polar bearz"];
+    [["full", fuzz], ["lite", fuzzlite], ["ultra_lite", fuzzultra]].forEach(function (bundle) {
+        it('should report progress and give the same results in time slices ' + bundle[0], function (done) {
+            var progress = [];
+            var options = { scorer: bundle[1].ratio, limit: 3, timeSlice: 1000, onProgress: function (processed, total) { progress.push([processed, total]); } };
+            bundle[1].extractAsync("polar bear", choices, options, function (err, results) {
+                assert.deepEqual(results, bundle[1].extract("polar bear", choices, { scorer: bundle[1].ratio, limit: 3 }));
+                assert.deepEqual(progress, [[6, 6]]);
+                done();
+            });
+        });
+    });
+    it('should report progress after every choice without a time slice', function (done) {
+        var progress = [];
+        var obj = { a: "polar bear", b: "brown bear", c: "grizzly" };
+        fuzz.extractAsync("polar bear", obj, { scorer: fuzz.ratio, onProgress: function (processed, total) { progress.push([processed, total]); } }, function (err, results) {
+            assert.deepEqual(progress, [[1, 3], [2, 3], [3, 3]]);
+            assert.equal(results[0][2], "a");
+            done();
+        });
+    });
+    it('should report progress over the candidates from an index', function (done) {
+        var index = fuzz.createIndex(choices);
+        var progress = [];
+        index.extractAsync("polar bear", { scorer: fuzz.ratio, timeSlice: 1000, onProgress: function (processed, total) { progress.push([processed, total]); } }, function (err, results) {
+            assert.deepEqual(progress, [[6, 6]]);
+            assert.equal(results.length, 6);
+            done();
+        });
+    });
+    it('should report progress against all the choices when blocking skips some', function (done) {
+        var index = fuzz.createIndex(choices, { blocking: true });
+        var progress = [];
+        index.extractAsync("polar bear", { scorer: fuzz.ratio, cutoff: 90, onProgress: function (processed, total) { progress.push([processed, total]); } }, function (err, results) {
+            assert.deepEqual(progress, [[1, 6], [5, 6], [6, 6]]);
+            assert.equal(results.length, 2);
+            done();
+        });
+    });
+});
+
+describe('explain', function () {
+    it('should return the ratio, edit operations and matched ranges of the original strings', function () {
+        var explained = fuzz.explain("Polar Bear!", "polar bears");
+        assert.equal(explained.score, fuzz.ratio("Polar Bear!", "polar bears"));
+        assert.deepEqual(explained.processed, ["polar bear", "polar bears"]);
+        assert.deepEqual(explained.editops, [["insert", 10, 10]]);
+        assert.deepEqual(explained.matches, [[[0, 10]], [[0, 10]]]);
+    });
+    it('should report the best matching window for partial_ratio', function () {
+        var explained = fuzz.explain("The Polar-Bear", "a polar bear cub", { partial: true });
+        assert.equal(explained.score, fuzz.partial_ratio("The Polar-Bear", "a polar bear cub"));
+        assert.deepEqual(explained.matches, [[[3, 14]], [[1, 12]]]);
+        assert.deepEqual(explained.windows, [[0, 14], [0, 14]]);
+        explained = fuzz.explain("polar bear", "the big polar bear cub", { partial: true });
+        assert.equal(explained.score, 100);
+        assert.deepEqual(explained.editops, []);
+        assert.deepEqual(explained.windows, [[0, 10], [8, 18]]);
+    });
+    it('should map matches back through astral, wildcards and case changes', function () {
+        assert.deepEqual(fuzz.explain("ab🐴cd", "ab🐴xd", { astral: true }).matches, [[[0, 4], [5, 6]], [[0, 4], [5, 6]]]);
+        var explained = fuzz.explain("fo?ar", "FOOAR", { wildcards: "?" });
+        assert.equal(explained.score, 100);
+        assert.deepEqual(explained.matches, [[[0, 5]], [[0, 5]]]);
+    });
+});
+
+describe('editops', function () {
+    it('should return python-Levenshtein style editops and opcodes', function () {
+        var ops = fuzz.editops("spam", "park");
+        assert.deepEqual(ops, [["delete", 0, 0], ["insert", 3, 2], ["replace", 3, 3]]);
+        var codes = fuzz.opcodes("spam", "park");
+        assert.deepEqual(codes, [["delete", 0, 1, 0, 0], ["equal", 1, 3, 0, 2], ["insert", 3, 3, 2, 3], ["replace", 3, 4, 3, 4]]);
+        assert.deepEqual(fuzz.opcodes(ops, "spam", "park"), codes);
+        assert.deepEqual(fuzz.opcodes(ops, 4, 4), codes);
+        assert.deepEqual(fuzz.editops(codes), ops);
+    });
+    it('should return matching blocks and apply edits', function () {
+        var ops = fuzz.editops("spam", "park");
+        assert.deepEqual(fuzz.matching_blocks(ops, "spam", "park"), [[1, 0, 2], [4, 4, 0]]);
+        assert.deepEqual(fuzz.matching_blocks(fuzz.opcodes("spam", "park"), 4, 4), [[1, 0, 2], [4, 4, 0]]);
+        assert.equal(fuzz.apply_edit(ops, "spam", "park"), "park");
+        assert.equal(fuzz.apply_edit(fuzz.opcodes("spam", "park"), "spam", "park"), "park");
+        assert.equal(fuzz.apply_edit(ops.slice(0, 1), "spam", "park"), "pam");
+    });
+    it('should honor subcost, wildcards and astral', function () {
+        assert.equal(fuzz.editops("fuzzy", "fozzy").length, fuzz.distance("fuzzy", "fozzy"));
+        assert.deepEqual(fuzz.editops("ab", "ac", { subcost: 2 }), [["replace", 1, 1]]);
+        assert.deepEqual(fuzz.editops("ab", "ac", { subcost: 3 }), [["insert", 1, 1], ["delete", 1, 2]]);
+        assert.deepEqual(fuzz.editops("f*zzy", "fozzy", { wildcards: "*" }), []);
+        var ops = fuzz.editops("ab🐴cd", "x🐴cde", { astral: true });
+        assert.deepEqual(ops, [["delete", 0, 0], ["replace", 1, 0], ["insert", 5, 4]]);
+        assert.equal(fuzz.apply_edit(ops, "ab🐴cd", "x🐴cde", { astral: true }), "x🐴cde");
+    });
+});
+
+describe('transpositions', function () {
+    it('should count swapped adjacent characters as one edit', function () {
+        assert.equal(fuzz.distance("5422", "4522"), 2);
+        assert.equal(fuzz.distance("5422", "4522", { transpositions: "osa" }), 1);
+        assert.equal(fuzz.distance("5422", "4522", { transpositions: "damerau" }), 1);
+        assert.equal(fuzz.ratio("5422", "4522"), 75);
+        assert.equal(fuzz.ratio("5422", "4522", { transpositions: true }), 88);
+    });
+    it('should only allow editing a transposed pair again with true damerau', function () {
+        assert.equal(fuzz.distance("ca", "abc", { transpositions: "osa" }), 3);
+        assert.equal(fuzz.distance("ca", "abc", { transpositions: "damerau" }), 2);
+    });
+    it('should work with astral, wildcards, partial and token scorers', function () {
+        assert.equal(fuzz.distance("a🐴bc", "🐴abc", { astral: true, transpositions: "osa" }), 1);
+        assert.equal(fuzz.distance("54*2", "4522", { wildcards: "*", transpositions: "osa" }), 1);
+        assert.equal(fuzz.partial_ratio("5422", "xx4522yy", { transpositions: "osa" }), 88);
+        assert.equal(fuzz.token_sort_ratio("5422 abc", "abc 4522", { transpositions: "osa" }), 94);
+        assert.equal(fuzz.distance("5422", "4522", { transpositions: "osa", maxDistance: 0 }), 1);
+    });
+});
+
+describe('jaro and jaro_winkler', function () {
+    it('should return jaro and jaro-winkler similarity 0-100', function () {
+        assert.equal(fuzz.jaro("MARTHA", "MARHTA"), 94);
+        assert.equal(fuzz.jaro_winkler("MARTHA", "MARHTA"), 96);
+        assert.equal(fuzz.jaro("DIXON", "DICKSONX"), 77);
+        assert.equal(fuzz.jaro_winkler("DIXON", "DICKSONX"), 81);
+        assert.equal(fuzz.jaro("abc", "xyz"), 0);
+        assert.equal(fuzz.jaro_winkler("", "abc"), 0);
+    });
+    it('should process, and handle astral, useCollator and wildcards like ratio', function () {
+        assert.equal(fuzz.jaro_winkler("Smith!", "smith"), 100);
+        assert.equal(fuzz.jaro("🐴abc", "🐴abd", { astral: true }), 83);
+        assert.equal(fuzz.jaro("Ärger", "arger", { useCollator: true }), 100);
+        assert.equal(fuzz.jaro("ab*d", "abcd", { wildcards: "*" }), 100);
+    });
+    it('should work in extract and as the ratio of the token scorers', function () {
+        var results = fuzz.extract("Jon Smith", ["john smyth", "jane smith", "bob"], { scorer: fuzz.jaro_winkler, limit: 2 });
+        assert.deepEqual(results, [["john smyth", 92, 0], ["jane smith", 91, 1]]);
+        assert.equal(fuzz.token_sort_ratio("smith john", "jon smyth", { ratio_alg: "jaro_winkler" }), 92);
+        assert.equal(fuzz.token_set_ratio("smith john", "jon smyth", { ratio_alg: "jaro" }), 90);
+    });
+});
+
+describe('registerRatioAlgorithm', function () {
+    it('should have lcs and hamming ratio_alg built in', function () {
+        assert.equal(fuzz.ratio("abcdef", "abdcef", { ratio_alg: "lcs" }), 83);
+        assert.equal(fuzz.ratio("karolin", "kathrin", { ratio_alg: "hamming" }), 57);
+        assert.equal(fuzz.ratio("abc", "abcd", { ratio_alg: "hamming" }), 75);
+        assert.equal(fuzz.ratio("🐴ab", "🐴ac", { ratio_alg: "hamming", astral: true }), 67);
+    });
+    it('should use a registered algorithm in every scorer built on ratio', function () {
+        fuzz.registerRatioAlgorithm("first_letter", function (str1, str2) {
+            return str1[0] === str2[0] ? 100 : 0;
+        });
+        var options = { ratio_alg: "first_letter" };
+        assert.equal(fuzz.ratio("apple", "avocado", options), 100);
+        assert.equal(fuzz.ratio("apple", "banana", options), 0);
+        assert.equal(fuzz.token_sort_ratio("zz apple", "apple zy", options), 100);
+        assert.equal(fuzz.WRatio("apple", "avocado", options), 100);
+        var results = fuzz.extract("apple", ["avocado", "banana"], { ratio_alg: "first_letter", scorer: fuzz.ratio });
+        assert.deepEqual(results, [["avocado", 100, 0], ["banana", 0, 1]]);
+        var deduped = fuzz.dedupe(["apple", "avocado", "banana"], { ratio_alg: "first_letter", scorer: fuzz.ratio, cutoff: 70 });
+        assert.deepEqual(deduped, [["avocado", 1], ["banana", 2]]);
+    });
+    it('should reject invalid registrations', function () {
+        assert.throws(function () { fuzz.registerRatioAlgorithm("", function () { return 0; }); }, /Invalid ratio algorithm name/);
+        assert.throws(function () { fuzz.registerRatioAlgorithm("nope", "nope"); }, /Invalid ratio algorithm/);
+        assert.throws(function () { fuzz.registerRatioAlgorithm("levenshtein", function () { return 0; }); }, /levenshtein/);
+    });
+    it('should reject registered algorithms in extractParallel', function () {
+        fuzz.registerRatioAlgorithm("first_letter", function (str1, str2) {
+            return str1[0] === str2[0] ? 100 : 0;
+        });
+        return fuzz.extractParallel("apple", ["avocado"], { ratio_alg: "first_letter" }).then(function () {
+            assert.fail("should have rejected");
+        }, function (err) {
+            assert.ok(/ratio_alg/.test(err.message));
+        });
+    });
+});
+
+describe('inscost and delcost', function () {
+    it('should weight insertions and deletions in distance', function () {
+        assert.equal(fuzz.distance("abc", "abcd", { inscost: 3 }), 3);
+        assert.equal(fuzz.distance("abcd", "abc", { inscost: 3 }), 1);
+        assert.equal(fuzz.distance("abcd", "abc", { delcost: 0.5 }), 0.5);
+        assert.equal(fuzz.distance("", "abc", { inscost: 2 }), 6);
+        assert.equal(fuzz.distance("abc", "xbcd", { inscost: 2, delcost: 2, subcost: 5 }), 6);
+        assert.equal(fuzz.distance("abcdef", "ab", { delcost: 2, maxDistance: 3 }), 4);
+    });
+    it('should work with astral, wildcards, collation and transpositions', function () {
+        assert.equal(fuzz.distance("🐴ab", "🐴abc", { astral: true, inscost: 2 }), 2);
+        assert.equal(fuzz.distance("a*c", "abcd", { wildcards: "*", inscost: 2 }), 2);
+        assert.equal(fuzz.distance("Ärg", "argx", { useCollator: true, inscost: 2 }), 2);
+        assert.equal(fuzz.distance("5422", "45222", { transpositions: "osa", inscost: 2 }), 3);
+        assert.equal(fuzz.distance("ca", "abc", { transpositions: "damerau", inscost: 2 }), 3);
+    });
+    it('should keep ratios 0-100 with uneven costs', function () {
+        assert.equal(fuzz.ratio("ab", "abcd", { inscost: 3 }), 40);
+        assert.equal(fuzz.ratio("abc", "xyz", { inscost: 0.5, delcost: 0.5 }), 0);
+        assert.equal(fuzz.ratio("abc", "abc", { inscost: 3 }), 100);
+        assert.equal(fuzz.ratio("invoice", "invoice no", { inscost: 0.5, delcost: 0.5 }), 82);
+        assert.equal(fuzz.ratio("invoice", "invoice no", { inscost: 1, delcost: 1 }), fuzz.ratio("invoice", "invoice no"));
+        assert.equal(fuzz.ratio("invoice", "invoice no", { inscost: 0.5, delcost: 0.5, score_cutoff: 81 }), 82);
+        assert.equal(fuzz.ratio("invoice", "invoice no", { inscost: 0.5, delcost: 0.5, score_cutoff: 82 }), 0);
+    });
+    it('should be used by editops and extract', function () {
+        assert.deepEqual(fuzz.editops("ab", "cd", { subcost: 3 }), [["insert", 0, 0], ["insert", 0, 1], ["delete", 0, 2], ["delete", 1, 2]]);
+        assert.deepEqual(fuzz.editops("ab", "cd", { subcost: 3, inscost: 3 }), [["replace", 0, 0], ["replace", 1, 1]]);
+        var results = fuzz.extract("abc", ["abcxyz", "xyz"], { scorer: fuzz.ratio, inscost: 0.25 });
+        assert.deepEqual(results[0], ["abcxyz", 83, 0]);
+    });
+});
+
+describe('substitutionCosts', function () {
+    it('should make substitutions in the table cheaper, as a multiple of subcost', function () {
+        var costs = [["a", "b", 0.25]];
+        assert.equal(fuzz.distance("abc", "bbc", { substitutionCosts: costs }), 0.25);
+        assert.equal(fuzz.distance("bbc", "abc", { substitutionCosts: costs }), 0.25);
+        assert.equal(fuzz.distance("abc", "xbc", { substitutionCosts: costs }), 1);
+        assert.equal(fuzz.distance("abc", "bbc", { substitutionCosts: costs, subcost: 2 }), 0.5);
+        assert.equal(fuzz.ratio("abcd", "bbcd", { substitutionCosts: costs }), 94);
+    });
+    it('should allow substitutions of more than one character', function () {
+        var costs = [["rn", "m", 0.25]];
+        assert.equal(fuzz.distance("rnodern", "modern", { substitutionCosts: costs }), 0.25);
+        assert.equal(fuzz.distance("modern", "rnodern", { substitutionCosts: costs }), 0.25);
+        assert.equal(fuzz.distance("rnodern", "modern", { substitutionCosts: costs, maxDistance: 0.5 }), 0.25);
+        assert.equal(fuzz.distance("🐴rn", "🐴m", { substitutionCosts: costs, astral: true }), 0.25);
+        assert.equal(fuzz.distance("rn*", "mx", { substitutionCosts: costs, wildcards: "*" }), 0.25);
+    });
+    it('should have ocr and qwerty presets', function () {
+        assert.equal(fuzz.distance("m0dern", "modern", { substitutionCosts: "ocr" }), 0.25);
+        assert.equal(fuzz.distance("C1ass", "class", { substitutionCosts: "ocr", full_process: false }), 1.25);
+        assert.equal(fuzz.ratio("Invoice N0. 1O5", "invoice no 105"), 86);
+        assert.equal(fuzz.ratio("Invoice N0. 1O5", "invoice no 105", { substitutionCosts: "ocr" }), 96);
+        assert.equal(fuzz.ratio("hrllo", "hello", { substitutionCosts: "qwerty" }), 90);
+        assert.equal(fuzz.ratio("hxllo", "hello", { substitutionCosts: "qwerty" }), 80);
+    });
+    it('should work in extract and throw on an invalid table', function () {
+        var results = fuzz.extract("m0dern", ["modern", "mdern"], { scorer: fuzz.ratio, substitutionCosts: "ocr" });
+        assert.deepEqual(results[0], ["modern", 96, 0]);
+        assert.throws(function () { fuzz.distance("a", "b", { substitutionCosts: "nope" }); }, /Invalid substitutionCosts/);
+        assert.throws(function () { fuzz.distance("a", "b", { substitutionCosts: [["a", "b"]] }); }, /Invalid substitutionCosts entry/);
+    });
+});
+
+describe('phonetic', function () {
+    it('should encode with soundex, nysiis, metaphone and double metaphone', function () {
+        assert.equal(fuzz.phonetic("Robert Rupert Tymczak Pfister", "soundex"), "R163 R163 T522 P236");
+        assert.equal(fuzz.phonetic("Macintosh Knuth", "nysiis"), "MCANT NAT");
+        assert.equal(fuzz.phonetic("Knight Judge", "metaphone"), "NT JJ");
+        assert.deepEqual(fuzz.phonetic("Smith Schmidt"), ["SM0 XMT", "XMT SMT"]);
+        assert.deepEqual(fuzz.phonetic("michael", "double_metaphone"), ["MKL", "MXL"]);
+        assert.deepEqual(fuzz.phonetic("Thomas Catherine Jose"), ["TMS K0RN HS", "TMS KTRN HS"]);
+        assert.throws(function () { fuzz.phonetic("smith", "nope"); }, /Unknown phonetic algorithm/);
+    });
+    it('should compare phonetic codes of tokens with options.phonetic', function () {
+        assert.equal(fuzz.token_sort_ratio("Smyth, Jon", "John Smith"), 84);
+        assert.equal(fuzz.token_sort_ratio("Smyth, Jon", "John Smith", { phonetic: true }), 100);
+        assert.equal(fuzz.token_set_ratio("Jon Smyth", "Smith John jr"), 73);
+        assert.equal(fuzz.token_set_ratio("Jon Smyth", "Smith John jr", { phonetic: "soundex" }), 100);
+        assert.equal(fuzz.partial_token_sort_ratio("Smyth Jon", "John Smith", { phonetic: "metaphone" }), 100);
+        var results = fuzz.extract("Jon Smyth", ["Jane Smart", "John Smith"], { scorer: fuzz.token_sort_ratio, phonetic: true, limit: 1 });
+        assert.deepEqual(results, [["John Smith", 100, 1]]);
+        var index = fuzz.createIndex(["Jane Smart", "John Smith"]);
+        assert.deepEqual(index.extract("Jon Smyth", { scorer: fuzz.token_sort_ratio, phonetic: true, cutoff: 80 }), [["John Smith", 100, 1]]);
+    });
+    it('should blend spelling and sound in phonetic_ratio', function () {
+        assert.equal(fuzz.phonetic_ratio("Jon Smyth", "John Smith"), 92);
+        assert.equal(fuzz.phonetic_ratio("Jon Smyth", "John Smith", { phonetic_weight: 1 }), 100);
+        assert.equal(fuzz.phonetic_ratio("Jon Smyth", "John Smith", { phonetic_weight: 0 }), fuzz.token_sort_ratio("Jon Smyth", "John Smith"));
+        var results = fuzz.extract("Jon Smyth", ["Bob Jones", "Jane Smart", "John Smith"], { scorer: fuzz.phonetic_ratio, limit: 2 });
+        assert.deepEqual(results, [["John Smith", 92, 2], ["Jane Smart", 70, 1]]);
+    });
+    it('should cache codes for tokens named like Object properties', function () {
+        var options = { phonetic: true, full_process: false };
+        assert.equal(fuzz.token_sort_ratio("hasOwnProperty __proto__", "hasOwnPropertee __proto__", options), 100);
+        assert.equal(fuzz.token_sort_ratio("hasOwnProperty __proto__ constructor", "hasOwnPropertee __proto__ constructor", options), 100);
+    });
+});
+
+describe('fuzzy_token_set_ratio', function () {
+    it('should pair up similar tokens', function () {
+        assert.equal(fuzz.token_set_ratio("Smyth, Jonathon", "jonathan smith jr"), 77);
+        assert.equal(fuzz.fuzzy_token_set_ratio("Smyth, Jonathon", "jonathan smith jr"), 86);
+        assert.equal(fuzz.fuzzy_token_set_ratio("fuzzy wuzzy was a bear", "wuzzy fuzzy was a bear"), 100);
+        assert.equal(fuzz.fuzzy_token_set_ratio("a b", "a b c"), fuzz.token_set_ratio("a b", "a b c"));
+        assert.equal(fuzz.fuzzy_token_set_ratio("abc", "xyz"), 0);
+        assert.equal(fuzz.fuzzy_token_set_ratio("", "xyz"), 0);
+    });
+    it('should report the paired tokens, highest total first and respecting token_threshold', function () {
+        assert.deepEqual(fuzz.fuzzy_token_intersection("Smyth, Jonathon", "jonathan smith jr"), {
+            intersection: [["jonathon", "jonathan", 94], ["smyth", "smith", 90]],
+            diff1to2: [],
+            diff2to1: ["jr"]
+        });
+        assert.deepEqual(fuzz.fuzzy_token_intersection("smyth jonathon", "jonathan smith", { token_threshold: 92 }), {
+            intersection: [["jonathon", "jonathan", 94]],
+            diff1to2: ["smyth"],
+            diff2to1: ["smith"]
+        });
+        // "abcd" is closest to "abce" but giving it to "abcx" leaves the better pair for "abce"
+        var pairs = fuzz.fuzzy_token_intersection("abcd abce", "abce abcx", { token_threshold: 70 }).intersection;
+        assert.deepEqual(pairs, [["abcd", "abcx", 88], ["abce", "abce", 100]]);
+    });
+    it('should work with extract and dedupe', function () {
+        var results = fuzz.extract("jonathon smith", ["bob", "jonathan smyth"], { scorer: fuzz.fuzzy_token_set_ratio, limit: 1 });
+        assert.deepEqual(results, [["jonathan smyth", 86, 1]]);
+        var deduped = fuzz.dedupe(["jonathon smith", "Smyth Jonathan", "bob"], { scorer: fuzz.fuzzy_token_set_ratio, cutoff: 80 });
+        assert.deepEqual(deduped, [["Smyth Jonathan", 1], ["bob", 2]]);
+    });
+});
+
+describe('idf_token_set_ratio', function () {
+    var companies = ["Acme Holdings", "Apex Inc", "Bolt Inc", "Crest Inc", "Dune Inc", "Echo Inc", "Flux Inc", "Grove Inc", "Helix Inc", "Iris Inc"];
+    it('should count tokens that are in most choices for less', function () {
+        assert.deepEqual(fuzz.extract("acme inc", companies, { scorer: fuzz.token_set_ratio, limit: 1 }), [["Apex Inc", 75, 1]]);
+        assert.deepEqual(fuzz.extract("acme inc", companies, { scorer: fuzz.idf_token_set_ratio, limit: 2 }), [["Acme Holdings", 59, 0], ["Apex Inc", 29, 1]]);
+        // typos still pair up with token_threshold
+        assert.deepEqual(fuzz.extract("acmee inc", companies, { scorer: fuzz.idf_token_set_ratio, limit: 1 }), [["Acme Holdings", 55, 0]]);
+    });
+    it('should build and use an idf table', function () {
+        var table = fuzz.idf_table(companies);
+        assert.equal(table.count, 10);
+        assert.equal(table.df.inc, 9);
+        assert.equal(table.df.acme, 1);
+        assert.equal(fuzz.idf_token_set_ratio("acme inc", "acme holdings", { idf: table }), 59);
+        assert.equal(fuzz.idf_token_set_ratio("acme inc", "apex inc", { idf: table }), 29);
+        assert.equal(fuzz.idf_table({ a: { name: "Acme Inc" } }, { processor: function (x) { return x.name; } }).df.acme, 1);
+        assert.throws(function () { fuzz.idf_token_set_ratio("a", "b", { idf: {} }); }, /Invalid idf table/);
+    });
+    it('should count tokens named like Object.prototype properties', function () {
+        var table = fuzz.idf_table(["__proto__ constructor", "__proto__ x"], { full_process: false });
+        assert.equal(table.df["__proto__"], 2);
+        assert.equal(table.df.constructor, 1);
+        assert.equal(table.df.toString, undefined);
+    });
+    it('should weigh every token the same without a table', function () {
+        assert.equal(fuzz.idf_token_set_ratio("acme inc", "apex inc"), 50);
+        assert.equal(fuzz.idf_token_set_ratio("acme", "acme inc"), 67);
+        assert.equal(fuzz.idf_token_set_ratio("Acme, Inc.", "inc acme"), 100);
+        assert.equal(fuzz.idf_token_set_ratio("abc", "xyz"), 0);
+        assert.equal(fuzz.idf_token_set_ratio("", "xyz"), 0);
+    });
+    it('should learn from the choices in indexes, dedupe and the async extracts', function (done) {
+        assert.deepEqual(fuzz.createIndex(companies).extract("acme inc", { scorer: fuzz.idf_token_set_ratio, limit: 1 }), [["Acme Holdings", 59, 0]]);
+        assert.deepEqual(fuzz.dedupe(["Acme Inc", "Acme Holdings Inc", "Apex Inc", "Bolt Inc"], { scorer: fuzz.idf_token_set_ratio, cutoff: 60 }),
+            [["Acme Holdings Inc", 1], ["Apex Inc", 2], ["Bolt Inc", 3]]);
+        fuzz.extractAsync("acme inc", companies, { scorer: fuzz.idf_token_set_ratio, limit: 1 }, function (err, results) {
+            if (err) return done(err);
+            assert.deepEqual(results, [["Acme Holdings", 59, 0]]);
+            fuzz.extractParallel("acme inc", companies, { scorer: "idf_token_set_ratio", limit: 1, workers: 2 }).then(function (results) {
+                assert.deepEqual(results, [["Acme Holdings", 59, 0]]);
+                done();
+            }).catch(done);
+        });
+    });
+});
+
+describe('stopwords, synonyms and abbreviations', function () {
+    it('should expand abbreviations, then synonyms, then drop stop words in full_process', function () {
+        assert.equal(fuzz.full_process("123 N. Main St., Apt 4", { abbreviations: "address" }), "123 north  main street   apartment 4");
+        assert.equal(fuzz.full_process("123 N. Main St., Apt 4", { abbreviations: "address", collapseWhitespace: true }), "123 north main street apartment 4");
+        assert.equal(fuzz.full_process("The Acme Intl Corp.", { abbreviations: "company", stopwords: "company" }), "acme international");
+        assert.equal(fuzz.full_process("Bob's Garage", { synonyms: { Bob: "Robert" } }), "robert s garage");
+        assert.equal(fuzz.full_process("the cat in the hat", { stopwords: ["the", "in"] }), "cat hat");
+        assert.equal(fuzz.full_process("the cat\tin the  hat", { stopwords: ["the", "in"] }), "cat  hat");
+        assert.equal(fuzz.full_process("the old  st", { abbreviations: { st: "saint street" }, stopwords: ["the"] }), "old  saint street");
+        assert.equal(fuzz.full_process("The Company", { stopwords: "company" }), "the company");
+        assert.equal(fuzz.full_process("Intl Trade", { abbreviations: "company", synonyms: { international: "global" } }), "global trade");
+    });
+    it('should apply to the query and choices in scorers, extract and dedupe', function () {
+        var options = { abbreviations: "company", stopwords: "company" };
+        assert.equal(fuzz.ratio("Acme International Inc", "ACME INTL", options), 100);
+        assert.equal(fuzzlite.ratio("Acme International Inc", "ACME INTL", options), fuzzlite.ratio("Acme International Inc", "ACME INTL")); // full build only
+        assert.deepEqual(fuzz.extract("123 main st", ["123 Maine Ave", "123 Main Street"], { scorer: fuzz.ratio, abbreviations: "address", limit: 1 }),
+            [["123 Main Street", 100, 1]]);
+        assert.deepEqual(fuzz.dedupe(["Acme Intl", "Acme International Inc.", "Beta LLC"], { scorer: fuzz.ratio, cutoff: 90, stopwords: "company", abbreviations: "company" }),
+            [["Acme International Inc.", 1], ["Beta LLC", 2]]);
+    });
+    it('should keep them with an index', function () {
+        var index = fuzz.createIndex(["123 Maine Ave", "123 Main Street"], { abbreviations: "address" });
+        assert.deepEqual(index.extract("123 main st", { scorer: fuzz.ratio, limit: 1 }), [["123 Main Street", 100, 1]]);
+        var data = JSON.parse(JSON.stringify(index));
+        assert.doesNotThrow(function () { fuzz.loadIndex(data, { abbreviations: "address" }); });
+        assert.throws(function () { fuzz.loadIndex(data, { abbreviations: "company" }); }, /incompatible options: abbreviations/);
+    });
+    it('should throw on invalid lists', function () {
+        assert.throws(function () { fuzz.ratio("a", "b", { stopwords: "french" }); }, /Invalid stopwords/);
+        assert.throws(function () { fuzz.ratio("a", "b", { synonyms: ["a"] }); }, /Invalid synonyms/);
+        assert.throws(function () { fuzz.ratio("a", "b", { abbreviations: { st: 1 } }); }, /Invalid abbreviations/);
+    });
+});
+
+describe('tokenizer', function () {
+    it('should split between letters and digits and at camelCase with alnum-boundary', function () {
+        assert.deepEqual(fuzz.unique_tokens("LID2240W", { tokenizer: "alnum-boundary" }), ["LID", "2240", "W"]);
+        assert.deepEqual(fuzz.unique_tokens("parseXMLFile x-1", { tokenizer: "alnum-boundary" }), ["parse", "XML", "File", "x", "-", "1"]);
+        assert.equal(fuzz.process_and_sort("lid2240w", { tokenizer: "alnum-boundary" }), "2240 lid w");
+    });
+    it('should make bigrams of CJK text with cjk-bigram', function () {
+        assert.deepEqual(fuzz.unique_tokens("東京都庁 tokyo 京", { tokenizer: "cjk-bigram" }), ["東京", "京都", "都庁", "tokyo", "京"]);
+        assert.equal(fuzz.token_set_ratio("東京都庁", "都庁東京", { tokenizer: "cjk-bigram" }), 77);
+    });
+    it('should take a function or Intl.Segmenter', function () {
+        var digits = function (str) { return str.match(/\d+/g) || []; };
+        assert.equal(fuzz.token_set_ratio("order 123 / 456", "456-123", { tokenizer: digits }), 100);
+        if (typeof Intl !== "undefined" && typeof Intl.Segmenter === "function") {
+            assert.deepEqual(fuzz.unique_tokens("Hello, world!", { tokenizer: "Intl.Segmenter", full_process: false }), ["Hello", "world"]);
+        }
+        assert.throws(function () { fuzz.token_set_ratio("a", "b", { tokenizer: "nope" }); }, /Unknown tokenizer nope/);
+    });
+    it('should be used by all the token scorers', function () {
+        var options = { tokenizer: "alnum-boundary" };
+        assert.equal(fuzz.token_sort_ratio("LID2240W", "w 2240 lid"), 56);
+        assert.equal(fuzz.token_sort_ratio("LID2240W", "w 2240 lid", options), 100);
+        assert.equal(fuzz.partial_token_sort_ratio("W2240LID", "lid 2240 w", options), 100);
+        assert.equal(fuzz.token_set_ratio("LID2240W", "2240 lid w", options), 100);
+        assert.equal(fuzz.partial_token_set_ratio("W2240LID", "lid 2240 w x", options), 100);
+        assert.equal(fuzz.WRatio("W2240LID", "lid 2240 w", options), 95);
+        assert.equal(fuzzlite.token_sort_ratio("LID2240W", "w 2240 lid", options), 56); // full build only
+    });
+    it('should be used for the choices in extract and indexes', function (done) {
+        var choices = ["LID2240W", "LID2240X", "abc"];
+        var expected = [["LID2240W", 100, 0], ["LID2240X", 95, 1]];
+        var options = { scorer: fuzz.token_set_ratio, tokenizer: "alnum-boundary", cutoff: 50 };
+        assert.deepEqual(fuzz.extract("w2240lid", choices, options), expected);
+        assert.deepEqual(fuzz.extract("w2240lid", choices, { scorer: fuzz.token_sort_ratio, tokenizer: "alnum-boundary", cutoff: 50 }), expected);
+        var index = fuzz.createIndex(choices, { tokenizer: "alnum-boundary" });
+        assert.deepEqual(index.extract("w2240lid", { scorer: fuzz.token_set_ratio, cutoff: 50 }), expected);
+        var data = JSON.parse(JSON.stringify(index));
+        assert.deepEqual(fuzz.loadIndex(data).extract("w2240lid", { scorer: fuzz.token_set_ratio, cutoff: 50 }), expected);
+        assert.throws(function () { fuzz.loadIndex(data, { tokenizer: "cjk-bigram" }); }, /incompatible options: tokenizer/);
+        fuzz.extractParallel("w2240lid", choices, { scorer: "token_set_ratio", tokenizer: function (s) { return [s]; } }).then(function () {
+            done(new Error("should have rejected"));
+        }, function (err) {
+            assert.ok(/built in tokenizers/.test(err.message));
+            done();
+        });
+    });
+});
+
+describe('graphemes', function () {
+    it('should count grapheme clusters as single characters', function () {
+        var decomposed = "cafe\u0301";
+        assert.equal(fuzz.distance("👨‍👩‍👧", "👨‍👩‍👦", { graphemes: true }), 1);
+        assert.equal(fuzz.distance(decomposed, "cafe", { graphemes: true, normalize: false }), 1);
+        assert.equal(fuzz.ratio(decomposed, "cafe", { astral: true, normalize: false }), 100);
+        assert.equal(fuzz.ratio(decomposed, "caf\u00e9", { graphemes: true }), 100);
+        assert.equal(fuzz.ratio("🇫🇷🇩🇪", "🇫🇷🇬🇧", { graphemes: true }), 50);
+    });
+    it('should not split clusters in partial_ratio and the token scorers', function () {
+        var options = { graphemes: true };
+        assert.equal(fuzz.partial_ratio("👨‍👩‍👧", "we are 👨‍👩‍👧!", options), 100);
+        assert.equal(fuzz.partial_ratio("👨‍👩‍👧", "we are 👨‍👩‍👦!", options), 0);
+        assert.equal(fuzz.token_sort_ratio("🇫🇷 paris", "paris 🇫🇷", options), 100);
+        assert.equal(fuzz.token_set_ratio("🇫🇷 paris", "paris 🇫🇷 🇫🇷", options), 100);
+    });
+    it('should support wildcards with astral', function () {
+        assert.equal(fuzz.ratio("f*😀d", "fo😀d", { astral: true }), 75);
+        assert.equal(fuzz.ratio("f*😀d", "fo😀d", { astral: true, wildcards: "*" }), 100);
+        assert.equal(fuzz.distance("👨‍👩‍👧 ?", "👨‍👩‍👦 x", { graphemes: true, wildcards: "👨‍👩‍👦?" }), 0);
+        assert.equal(fuzz.token_set_ratio("😀 f*o", "foo 😀", { astral: true, wildcards: "*" }), 100);
+        assert.deepEqual(fuzz.unique_tokens("f*o foo 😀", { astral: true, wildcards: "*" }), ["f*o", "😀"]);
+    });
+});
+
+describe('wildcards across modes', function () {
+    it('should be used by the difflib ratio', function () {
+        assert.equal(fuzz.ratio("ab*d", "abcd", { ratio_alg: "difflib" }), 75);
+        assert.equal(fuzz.ratio("ab*d", "abcd", { ratio_alg: "difflib", wildcards: "*" }), 100);
+        assert.equal(fuzz.ratio("AB*D", "abcd", { ratio_alg: "difflib", wildcards: "*" }), 100);
+        assert.equal(fuzz.ratio("a*😀d", "ab😀d", { ratio_alg: "difflib", wildcards: "*", astral: true }), 100);
+        assert.equal(fuzz.token_sort_ratio("d*f abc", "abc def", { ratio_alg: "difflib", wildcards: "*" }), 100);
+    });
+    it('should be used to find the partial_ratio window', function () {
+        assert.equal(fuzz.partial_ratio("12*4", "12 34 1294 zz", { wildcards: "*" }), 100);
+        assert.equal(fuzz.partial_ratio("12*4", "12 34 1294 zz", { wildcards: "*", astral: true }), 100);
+        assert.equal(fuzz.partial_ratio("12*4", "12 34 1294 zz"), 88);
+        assert.deepEqual(fuzz.explain("12*4", "12 34 1294 zz", { partial: true, wildcards: "*" }).windows, [[0, 4], [6, 10]]);
+    });
+    it('should score the same with and without astral', function () {
+        var pairs = [["ab*x", "abcx ab"], ["*b X", "xb ab"], ["a*X*", "aaxb"], ["X* b", "b ab ba"]];
+        var scorers = ["ratio", "partial_ratio", "token_sort_ratio", "token_set_ratio"];
+        for (var p = 0; p < pairs.length; p++) {
+            for (var s = 0; s < scorers.length; s++) {
+                assert.equal(fuzz[scorers[s]](pairs[p][0], pairs[p][1], { wildcards: "*X", full_process: false }),
+                    fuzz[scorers[s]](pairs[p][0], pairs[p][1], { wildcards: "*X", astral: true, normalize: false }));
+            }
+        }
+    });
+});
+
+describe('glob', function () {
+    var options = { glob: true };
+    it('should match runs of characters with *', function () {
+        assert.equal(fuzz.distance("542*-BL", "5421-BL", options), 0);
+        assert.equal(fuzz.distance("542*-BL", "54299-BL", options), 0);
+        assert.equal(fuzz.distance("542*-BL", "542-BL", options), 0);
+        assert.equal(fuzz.distance("542*-BL", "5421-BR", options), 1);
+        assert.equal(fuzz.ratio("542*-BL", "54299-BL", options), 100);
+        assert.equal(fuzz.ratio("542*-BL", "54299-BL"), 86);
+        assert.equal(fuzz.ratio("542*", "542 br red", options), 85);
+    });
+    it('should match single characters with ? and classes', function () {
+        assert.equal(fuzz.ratio("SKU-[0-9][0-9]", "sku-42", options), 100);
+        assert.equal(fuzz.ratio("SKU-[0-9][0-9]", "sku-4x", options), 83);
+        assert.equal(fuzz.ratio("sku-[!0-9]", "sku-4", options), 80);
+        assert.equal(fuzz.ratio("sku-[^0-9]", "sku-x", options), 100);
+        assert.equal(fuzz.distance("a?c", "abc", options), 0);
+        assert.equal(fuzz.distance("a?c", "a c", { glob: true, full_process: false }), 1);
+        assert.equal(fuzz.distance("a\\*c", "abc", { glob: true, full_process: false }), 1);
+        assert.equal(fuzz.distance("a\\*c", "a*c", { glob: true, full_process: false }), 0);
+    });
+    it('should be kept by full_process', function () {
+        assert.equal(fuzz.full_process("542*-BL [A-Z]x?", options), "542* bl [a-z]x?");
+        assert.equal(fuzz.full_process("542*-BL [A-Z]x?", { collapseWhitespace: true }), "542 bl a z x");
+    });
+    it('should be used by partial_ratio, the token scorers and extract', function () {
+        assert.equal(fuzz.partial_ratio("542*-BL", "order 5421-BL shipped", options), 100);
+        assert.equal(fuzz.partial_ratio("542*-BL", "order 5421-BL shipped"), 83);
+        assert.equal(fuzz.token_sort_ratio("542*-BL blue", "blue 54211-BL", options), 100);
+        assert.equal(fuzz.token_set_ratio("542*-BL blue", "blue 54211-BL", options), 100);
+        assert.deepEqual(fuzz.unique_tokens("542* 5421 bl", options), ["542*", "bl"]);
+        var choices = ["5421-BL", "5421-BR", "6000-BL"];
+        var expected = [["5421-BL", 100, 0], ["5421-BR", 85, 1]];
+        assert.deepEqual(fuzz.extract("542*-BL", choices, { glob: true, cutoff: 80 }), expected);
+        assert.deepEqual(fuzz.createIndex(choices, options).extract("542*-BL", { cutoff: 80 }), expected);
+    });
+    it('should score the same as without glob when there are no patterns', function () {
+        var pairs = [["fuzzy wuzzy was a bear", "wuzzy fuzzy was a bear"], ["new york mets", "new YORK mets vs atlanta"]];
+        var scorers = ["distance", "ratio", "partial_ratio", "token_sort_ratio", "token_set_ratio", "WRatio"];
+        for (var p = 0; p < pairs.length; p++) {
+            for (var s = 0; s < scorers.length; s++) {
+                assert.equal(fuzz[scorers[s]](pairs[p][0], pairs[p][1], options), fuzz[scorers[s]](pairs[p][0], pairs[p][1]));
+            }
+        }
+    });
+});
+
+describe('locale', function () {
+    it('should pick the collator', function () {
+        assert.equal(fuzz.ratio("Malmö", "Malmo", { useCollator: true }), 100);
+        assert.equal(fuzz.ratio("Malmö", "Malmo", { locale: "sv" }), 80);
+        assert.equal(fuzz.ratio("Malmö", "Malmo", { locale: "sv", useCollator: false }), 90);
+        assert.equal(fuzz.ratio("ISPARTA", "ısparta", { locale: "tr" }), 100);
+        assert.equal(fuzz.ratio("ISPARTA", "isparta", { locale: "tr" }), 86);
+        assert.equal(fuzz.ratio("İzmir", "izmir", { locale: "tr" }), 100);
+        assert.equal(fuzz.full_process("ISPARTA", { locale: "tr" }), "ısparta");
+    });
+    it('should compare one character at a time however long the strings are', function () {
+        var options = { locale: "de", full_process: false };
+        assert.equal(fuzz.distance("straße", "strasse", options), 2);
+        assert.equal(fuzz.distance("die große straße", "die grosse strasse", options), 4);
+        assert.equal(fuzz.ratio("straße", "STRASSE", { locale: "de" }), fuzz.ratio("straße", "STRASSE"));
+        assert.deepEqual(fuzz.unique_tokens("strasse straße", { locale: "de" }), ["strasse", "straße"]);
+        assert.equal(fuzz.token_set_ratio("Ärger Malmö", "malmo arger"), 45);
+        assert.equal(fuzz.token_set_ratio("Ärger Malmö", "malmo arger", { locale: "de" }), 100);
+    });
+    it('should take collatorOptions', function () {
+        assert.equal(fuzz.ratio("a-b c", "a.b c", { full_process: false }), 90);
+        assert.equal(fuzz.ratio("a-b c", "a.b c", { full_process: false, collatorOptions: { ignorePunctuation: true } }), 100);
+        assert.equal(fuzz.ratio("abc", "ABC", { full_process: false, collatorOptions: { sensitivity: "case" } }), 0);
+        assert.throws(function () { fuzz.ratio("a", "b", { collatorOptions: { sensitivity: "nope" } }); }, /Invalid locale or collatorOptions/);
+        assert.throws(function () { fuzz.ratio("a", "b", { locale: "not a locale" }); }, /Invalid locale/);
+    });
+    it('should be used by an index the same way as by extract', function () {
+        var choices = ["arger", "other"];
+        var options = { locale: "de" };
+        var index = fuzz.createIndex(choices, options);
+        assert.deepEqual(index.extract("Ärger", { scorer: fuzz.ratio }), fuzz.extract("Ärger", choices, { scorer: fuzz.ratio, locale: "de" }));
+        assert.equal(index.extract("Ärger", { scorer: fuzz.ratio })[0][1], 100);
+        choices = ["a-b", "other"];
+        options = { locale: "de", collatorOptions: { ignorePunctuation: true }, full_process: false };
+        index = fuzz.createIndex(choices, options);
+        var expected = fuzz.extract("a.b", choices, { scorer: fuzz.ratio, locale: "de", collatorOptions: { ignorePunctuation: true }, full_process: false });
+        assert.deepEqual(index.extract("a.b", { scorer: fuzz.ratio }), expected);
+        assert.equal(expected[0][1], 100);
+        var saved = JSON.parse(JSON.stringify(index));
+        assert.deepEqual(fuzz.loadIndex(saved).extract("a.b", { scorer: fuzz.ratio }), expected);
+        assert.throws(function () { fuzz.loadIndex(saved, { locale: "sv" }); }, /incompatible options: locale/);
+        assert.throws(function () { fuzz.loadIndex(saved, { collatorOptions: { numeric: true } }); }, /incompatible options: collatorOptions/);
+    });
+});
+
+describe('collation class IDs', function () {
+    it('should score the same as comparing each character with the collator', function () {
+        var options = { useCollator: true, full_process: false };
+        assert.equal(fuzz.distance("Ärger", "arger", options), 0);
+        assert.equal(fuzz.distance("Ärger", "örger", options), 1);
+        assert.equal(fuzz.distance("ÄrgEr", "ärgxr", options), 1);
+        assert.equal(fuzz.distance("Ärger", "arger", { locale: "sv", full_process: false }), 1);
+        assert.equal(fuzz.distance("%rger", "ärgor", { useCollator: true, full_process: false, wildcards: "%" }), 1);
+        assert.equal(fuzz.distance("Ä🐴rger", "a🐴rgér", { useCollator: true, astral: true }), 0);
+        assert.equal(fuzz.jaro_winkler("Ärger", "arger", options), 100);
+    });
+    it('should give the same distances as a table calling collator.compare for every cell', function () {
+        var words = ["Ärger", "arger", "örger", "Straße", "strasse", "Malmö", "malmo", "Åsa", "aasa", "Øre", "ore", "a-b", "AB", ""];
+        var cases = [["de", undefined], ["sv", undefined], ["generic", { sensitivity: "base" }], ["de", { ignorePunctuation: true }]];
+        cases.forEach(function (c) {
+            var collator = Intl.Collator(c[0], Object.assign({ sensitivity: "base" }, c[1]));
+            function reference(a, b) {
+                var d = [];
+                for (var i = 0; i <= a.length; i++) d[i] = [i];
+                for (var j = 0; j <= b.length; j++) d[0][j] = j;
+                for (i = 1; i <= a.length; i++) {
+                    for (j = 1; j <= b.length; j++) {
+                        var same = a[i - 1] === b[j - 1] || collator.compare(a[i - 1], b[j - 1]) === 0;
+                        d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (same ? 0 : 1));
+                    }
+                }
+                return d[a.length][b.length];
+            }
+            var options = { locale: c[0], collatorOptions: c[1], full_process: false };
+            var astral = { locale: c[0], collatorOptions: c[1], astral: true, normalize: false };
+            words.forEach(function (a) {
+                words.forEach(function (b) {
+                    var expected = reference(a, b);
+                    assert.equal(fuzz.distance(a, b, options), expected, c[0] + " " + a + " " + b);
+                    assert.equal(fuzz.distance(a, b, astral), expected, c[0] + " astral " + a + " " + b);
+                });
+            });
+        });
+    });
+    it('should be used by extract', function () {
+        var choices = ["Müller", "Mueller", "Möller", "Miller"];
+        assert.deepEqual(fuzz.extract("muller", choices, { useCollator: true, cutoff: 95 }), [["Müller", 100, 0]]);
+        assert.deepEqual(fuzz.extract("muller", choices, { locale: "sv", cutoff: 80, limit: 2 }), [["Mueller", 92, 1], ["Müller", 83, 0]]);
+    });
+});
@@ -13,6 +13,7 @@
     var full_process = utils.full_process;
     var _clone_and_set_option_defaults = utils.clone_and_set_option_defaults;
     var _isCustomFunc = utils.isCustomFunc;
+    var _abortError = utils.abortError;
     if (typeof setImmediate !== 'function') require('setimmediate'); // didn't run in tiny-worker without extra check
     // isArray polyfill
     if (typeof Array.isArray === 'undefined') {
@@ -255,6 +256,9 @@
          * @param {boolean} [options_p.collapseWhitespace] - Collapse consecutive white space during full_process, default true
          * @param {boolean} [options_p.trySimple] - try simple/partial ratio as part of (parial_)token_set_ratio test suite
          * @param {boolean} [options_p.returnObjects] - return array of object instead of array of tuples; default false
+         * @param {function} [options_p.onProgress] - called with (processed, total) each time the scan yields and when it finishes
+         * @param {number} [options_p.timeSlice] - score as many choices as fit in this many ms before yielding, default yields after every choice
+         * @param {AbortSignal} [options_p.signal] - stop the scan on the next tick and call back with an AbortError once aborted
          * @param {function} callback - node style callback (err, arrayOfResults)
          */
         var options = _clone_and_set_option_defaults(options_p);
@@ -319,66 +323,77 @@
             cmpSort = function (a, b) { return b[1] - a[1]; };
         }
         var keys = Object.keys(choices);
+        var processed = 0;
         isArray ? searchLoop(0) : searchLoop(keys[0], 0);
         function searchLoop (c, i) {
-            if (isArray || choices.hasOwnProperty(c)) {
-                options.tokens = undefined;
-                options.proc_sorted = false;
-                if (tsort) {
-                    options.proc_sorted = true;
-                    if (choices[c].proc_sorted) mychoice = choices[c].proc_sorted;
-                    else {
-                        mychoice = pre_processor(options.processor(choices[c]), options);
-                        mychoice = process_and_sort(mychoice);
+            if (options.signal && options.signal.aborted) {
+                callback(_abortError(options.signal));
+                return;
+            }
+            var sliceStart = options.timeSlice ? Date.now() : 0;
+            for (;;) {
+                if (isArray || choices.hasOwnProperty(c)) {
+                    options.tokens = undefined;
+                    options.proc_sorted = false;
+                    if (tsort) {
+                        options.proc_sorted = true;
+                        if (choices[c].proc_sorted) mychoice = choices[c].proc_sorted;
+                        else {
+                            mychoice = pre_processor(options.processor(choices[c]), options);
+                            mychoice = process_and_sort(mychoice);
+                        }
+                        result = options.scorer(proc_sorted_query, mychoice, options);
                     }
-                    result = options.scorer(proc_sorted_query, mychoice, options);
-                }
-                else if (tset) {
-                    mychoice = "x"; //dummy string so it validates
-                    if (choices[c].tokens) {
-                        options.tokens = [query_tokens, choices[c].tokens];
-                        if (options.trySimple) mychoice = pre_processor(options.processor(choices[c]), options);
+                    else if (tset) {
+                        mychoice = "x"; //dummy string so it validates
+                        if (choices[c].tokens) {
+                            options.tokens = [query_tokens, choices[c].tokens];
+                            if (options.trySimple) mychoice = pre_processor(options.processor(choices[c]), options);
+                        }
+                        else {
+                            mychoice = pre_processor(options.processor(choices[c]), options);
+                            options.tokens = [query_tokens, tokenize(mychoice)]
+                        }
+                        //query and mychoice only used for validation here unless trySimple = true
+                        result = options.scorer(query, mychoice, options);
+                    }
+                    else if (isCustom) {
+                        // options.full_process should be unmodified, don't pre-process here since mychoice maybe not string
+                        mychoice = options.processor(choices[c]);
+                        result = options.scorer(query, mychoice, options);
                     }
                     else {
                         mychoice = pre_processor(options.processor(choices[c]), options);
-                        options.tokens = [query_tokens, tokenize(mychoice)]
+                        if (typeof mychoice !== "string" || mychoice.length === 0) anyblank = true;
+                        result = options.scorer(query, mychoice, options);
+                    }
+                    if (isArray) idx = parseInt(c);
+                    else idx = c;
+                    if (result > options.cutoff) {
+                        if (options.returnObjects) results.push({ choice: choices[c], score: result, key: idx });
+                        else results.push([choices[c], result, idx]);;
                     }
-                    //query and mychoice only used for validation here unless trySimple = true
-                    result = options.scorer(query, mychoice, options);
-                }
-                else if (isCustom) {
-                    // options.full_process should be unmodified, don't pre-process here since mychoice maybe not string
-                    mychoice = options.processor(choices[c]);
-                    result = options.scorer(query, mychoice, options);
-                }
-                else {
-                    mychoice = pre_processor(options.processor(choices[c]), options);
-                    if (typeof mychoice !== "string" || mychoice.length === 0) anyblank = true;
-                    result = options.scorer(query, mychoice, options);
                 }
-                if (isArray) idx = parseInt(c);
-                else idx = c;
-                if (result > options.cutoff) {
-                    if (options.returnObjects) results.push({ choice: choices[c], score: result, key: idx });
-                    else results.push([choices[c], result, idx]);;
+                processed++;
+                if (isArray && c < choices.length - 1) c++;
+                else if (!isArray && i < keys.length - 1) c = keys[++i];
+                else break;
+                // without timeSlice yield after every choice
+                if (!options.timeSlice || Date.now() - sliceStart >= options.timeSlice) {
+                    if (options.onProgress) options.onProgress(processed, numchoices);
+                    setImmediate(function () { searchLoop(c, i) });
+                    return;
                 }
             }
-            if (isArray && c < choices.length - 1) {
-                setImmediate(function () { searchLoop(c + 1) })
-            }
-            else if (i < keys.length - 1) {
-                setImmediate(function () { searchLoop(keys[i + 1], i + 1) });
+            if (options.onProgress) options.onProgress(processed, numchoices);
+            if (anyblank) if (typeof console !== undefined) console.log("One or more choices were empty. (post-processing if applied)")
+            if (options.limit && typeof options.limit === "number" && options.limit > 0 && options.limit < numchoices && !options.unsorted) {
+                results = results.sort(cmpSort).slice(0, options.limit);
             }
-            else {
-                if (anyblank) if (typeof console !== undefined) console.log("One or more choices were empty. (post-processing if applied)")
-                if (options.limit && typeof options.limit === "number" && options.limit > 0 && options.limit < numchoices && !options.unsorted) {
-                    results = results.sort(cmpSort).slice(0, options.limit);
-                }
-                else if (!options.unsorted) {
-                    results = results.sort(cmpSort);
-                }
-                callback(null, results);
+            else if (!options.unsorted) {
+                results = results.sort(cmpSort);
             }
+            callback(null, results);
         }
     }
 